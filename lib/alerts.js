@@ -0,0 +1,432 @@
+// ============================================
+// FLAVOR ALERT SUBSCRIPTIONS
+// ============================================
+// Users subscribe to a flavor ("turtle"), optionally at one stand, with a
+// webhook URL. After each scrape, every upcoming forecast entry matching a
+// subscription is POSTed to its webhook once. Subscriptions live in
+// DATA_DIR/subscriptions.json; delivery attempts and the keys of already
+// delivered matches live in DATA_DIR/webhook-deliveries.json.
+//
+// Each webhook is signed with the subscription's secret (returned once, when
+// the subscription is created):
+//
+//   X-Custard-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// See scripts/webhook-receiver.js for a local receiver that verifies it.
+//
+// Deliveries run CONFIG.WEBHOOK_CONCURRENCY at a time, and each one is written
+// to the delivery log as soon as it finishes. Updates to subscriptions.json
+// and the delivery log go through one queue, so concurrent requests and
+// deliveries never overwrite each other's changes.
+//
+// Webhook hosts are resolved when a subscription is created and again before
+// every delivery, and refused if any address is loopback, private, link-local
+// or otherwise internal, so a subscription can't make this server send
+// requests into its own network. Redirects are not followed for the same
+// reason. CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS lifts the check for local
+// testing.
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const fs = require("fs").promises;
+const net = require("net");
+const path = require("path");
+const CONFIG = require("./config");
+const logger = require("./logger");
+const { writeFileAtomic } = require("./backups");
+const { createLimiter } = require("./pool");
+const { searchFlavors, normalizeText } = require("./search");
+
+const MAX_LOGGED_DELIVERIES = 1000;
+
+const INTERNAL_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, including cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+]) {
+  INTERNAL_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+]) {
+  INTERNAL_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+function getSubscriptionsPath() {
+  return path.join(CONFIG.DATA_DIR, "subscriptions.json");
+}
+
+function getDeliveriesPath() {
+  return path.join(CONFIG.DATA_DIR, "webhook-deliveries.json");
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function writeJson(filePath, data) {
+  await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
+let updateQueue = Promise.resolve();
+
+// Runs read-modify-write `update`s of the alert files one at a time
+function serialized(update) {
+  const result = updateQueue.then(update, update);
+  updateQueue = result.catch(() => {});
+  return result;
+}
+
+// ============================================
+// WEBHOOK HOSTS
+// ============================================
+
+function isInternalAddress(address) {
+  // IPv4-mapped IPv6 ("::ffff:127.0.0.1") is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return INTERNAL_RANGES.check(mapped[1], "ipv4");
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return INTERNAL_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// Resolves the webhook's host. Returns an error message if it can't be
+// resolved or any of its addresses is internal, and null if it may be called.
+async function checkWebhookHost(webhookUrl) {
+  if (CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS) return null;
+
+  const hostname = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.lookup(hostname, { all: true })).map((a) => a.address);
+  } catch (error) {
+    return `webhookUrl host could not be resolved (${
+      error.code || error.message
+    })`;
+  }
+
+  return addresses.some(isInternalAddress)
+    ? "webhookUrl must not point at a loopback, private or link-local address"
+    : null;
+}
+
+// ============================================
+// SUBSCRIPTION STORE
+// ============================================
+
+function withoutSecret(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+function validateSubscription(input) {
+  const errors = [];
+
+  if (typeof input.flavor !== "string" || !normalizeText(input.flavor)) {
+    errors.push("flavor must be a non-empty string");
+  }
+  if (
+    input.locationId !== undefined &&
+    input.locationId !== null &&
+    (typeof input.locationId !== "string" || !input.locationId)
+  ) {
+    errors.push("locationId must be a stand id when provided");
+  }
+
+  try {
+    const url = new URL(input.webhookUrl);
+    if (!["http:", "https:"].includes(url.protocol)) {
+      errors.push("webhookUrl must be an http(s) URL");
+    }
+  } catch (error) {
+    errors.push("webhookUrl must be an http(s) URL");
+  }
+
+  return errors;
+}
+
+async function listSubscriptions() {
+  return readJson(getSubscriptionsPath(), []);
+}
+
+async function createSubscription(input) {
+  return serialized(() => addSubscription(input));
+}
+
+async function addSubscription(input) {
+  const subscriptions = await listSubscriptions();
+  const subscription = {
+    id: crypto.randomUUID(),
+    flavor: input.flavor.trim(),
+    locationId: input.locationId || null,
+    webhookUrl: input.webhookUrl,
+    secret: crypto.randomBytes(32).toString("hex"),
+    createdAt: new Date().toISOString(),
+  };
+
+  subscriptions.push(subscription);
+  await writeJson(getSubscriptionsPath(), subscriptions);
+  logger.info(`Subscription ${subscription.id} created for "${input.flavor}"`);
+
+  return subscription;
+}
+
+async function deleteSubscription(id) {
+  return serialized(() => removeSubscription(id));
+}
+
+async function removeSubscription(id) {
+  const subscriptions = await listSubscriptions();
+  const remaining = subscriptions.filter((s) => s.id !== id);
+  if (remaining.length === subscriptions.length) return false;
+
+  await writeJson(getSubscriptionsPath(), remaining);
+  logger.info(`Subscription ${id} deleted`);
+  return true;
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+// Upcoming forecast entries in `data` that match `subscription`
+function findMatches(data, subscription, today) {
+  return searchFlavors(data, {
+    q: subscription.flavor,
+    locationId: subscription.locationId || undefined,
+  })
+    .filter((result) => /^\d{4}-\d{2}-\d{2}$/.test(result.date))
+    .filter((result) => result.date >= today)
+    .map((result) => ({
+      key: [
+        subscription.id,
+        result.standId,
+        result.date,
+        normalizeText(result.flavor),
+      ].join(":"),
+      standId: result.standId,
+      standName: result.standName,
+      location: result.location,
+      date: result.date,
+      dayLabel: result.dayLabel,
+      flavor: result.flavor,
+      description: result.description,
+    }));
+}
+
+// ============================================
+// WEBHOOK DELIVERY
+// ============================================
+
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// POSTs `payload`, retrying with exponential backoff. Resolves to
+// { delivered, attempts, responseStatus, error } rather than throwing.
+async function deliverWebhook(subscription, payload) {
+  const body = JSON.stringify(payload);
+  let lastError = null;
+  let responseStatus = null;
+
+  // The host may resolve differently now than when the subscription was made
+  const hostError = await checkWebhookHost(subscription.webhookUrl);
+  if (hostError) {
+    return { delivered: false, attempts: 0, responseStatus, error: hostError };
+  }
+
+  for (let attempt = 1; attempt <= CONFIG.WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(subscription.webhookUrl, {
+        method: "POST",
+        redirect: "manual",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Milwaukee-Custard-Tracker-Webhook/1.0",
+          "X-Custard-Event": payload.event,
+          "X-Custard-Delivery": payload.deliveryId,
+          "X-Custard-Signature": `t=${timestamp},v1=${signPayload(
+            subscription.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body: body,
+        signal: AbortSignal.timeout(CONFIG.WEBHOOK_TIMEOUT),
+      });
+
+      responseStatus = response.status;
+      if (response.ok) {
+        return { delivered: true, attempts: attempt, responseStatus };
+      }
+      lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    logger.warn(
+      `Webhook attempt ${attempt} failed for subscription ${subscription.id}:`,
+      lastError
+    );
+    if (attempt < CONFIG.WEBHOOK_MAX_ATTEMPTS) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, CONFIG.WEBHOOK_RETRY_DELAY * 2 ** (attempt - 1))
+      );
+    }
+  }
+
+  return {
+    delivered: false,
+    attempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+    responseStatus,
+    error: lastError,
+  };
+}
+
+async function loadDeliveryLog() {
+  return readJson(getDeliveriesPath(), { sentKeys: {}, deliveries: [] });
+}
+
+async function getDeliveries(subscriptionId) {
+  const log = await loadDeliveryLog();
+  return log.deliveries.filter((d) => d.subscriptionId === subscriptionId);
+}
+
+// Adds a finished delivery to the log, and its match key to the sent keys
+// when it was delivered
+async function recordDelivery(entry, match) {
+  return serialized(async () => {
+    const log = await loadDeliveryLog();
+
+    if (entry.status === "delivered") log.sentKeys[match.key] = match.date;
+    log.deliveries.push(entry);
+    log.deliveries = log.deliveries.slice(-MAX_LOGGED_DELIVERIES);
+    await writeJson(getDeliveriesPath(), log);
+  });
+}
+
+// Keys for past dates can never match again
+async function pruneSentKeys(today) {
+  return serialized(async () => {
+    const log = await loadDeliveryLog();
+
+    for (const [key, date] of Object.entries(log.sentKeys)) {
+      if (date < today) delete log.sentKeys[key];
+    }
+    await writeJson(getDeliveriesPath(), log);
+  });
+}
+
+// Match keys being delivered right now, so overlapping runs don't send twice
+const inFlight = new Set();
+
+async function deliverMatch(subscription, match) {
+  const { key, ...matchDetails } = match;
+  const deliveryId = crypto.randomUUID();
+
+  try {
+    const result = await deliverWebhook(subscription, {
+      event: "flavor.match",
+      deliveryId: deliveryId,
+      subscriptionId: subscription.id,
+      subscribedFlavor: subscription.flavor,
+      match: matchDetails,
+      sentAt: new Date().toISOString(),
+    });
+
+    await recordDelivery(
+      {
+        id: deliveryId,
+        subscriptionId: subscription.id,
+        matchKey: key,
+        webhookUrl: subscription.webhookUrl,
+        status: result.delivered ? "delivered" : "failed",
+        attempts: result.attempts,
+        responseStatus: result.responseStatus,
+        error: result.error || null,
+        timestamp: new Date().toISOString(),
+      },
+      match
+    );
+    return result.delivered;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+// Checks a freshly scraped dataset against every subscription and sends one
+// webhook per new match. Matches already delivered are skipped; failed ones
+// are retried on the next run.
+async function processAlerts(data, today) {
+  const subscriptions = await listSubscriptions();
+  const summary = { matched: 0, delivered: 0, failed: 0, skipped: 0 };
+  if (subscriptions.length === 0) return summary;
+
+  const { sentKeys } = await loadDeliveryLog();
+  const pending = [];
+
+  for (const subscription of subscriptions) {
+    for (const match of findMatches(data, subscription, today)) {
+      summary.matched++;
+      if (sentKeys[match.key] || inFlight.has(match.key)) {
+        summary.skipped++;
+        continue;
+      }
+      inFlight.add(match.key);
+      pending.push({ subscription, match });
+    }
+  }
+
+  const run = createLimiter(CONFIG.WEBHOOK_CONCURRENCY);
+  await Promise.all(
+    pending.map(({ subscription, match }) =>
+      run(async () => {
+        if (await deliverMatch(subscription, match)) summary.delivered++;
+        else summary.failed++;
+      })
+    )
+  );
+  await pruneSentKeys(today);
+
+  logger.info(
+    `Flavor alerts: ${summary.matched} matches, ${summary.delivered} delivered, ${summary.failed} failed, ${summary.skipped} already sent`
+  );
+
+  return summary;
+}
+
+module.exports = {
+  withoutSecret,
+  validateSubscription,
+  checkWebhookHost,
+  listSubscriptions,
+  createSubscription,
+  deleteSubscription,
+  findMatches,
+  signPayload,
+  deliverWebhook,
+  getDeliveries,
+  processAlerts,
+};
@@ -0,0 +1,131 @@
+// ============================================
+// API KEY AUTHENTICATION
+// ============================================
+// Administrative routes require an API key from CONFIG.API_KEYS, sent as
+// "Authorization: Bearer <key>" or "X-API-Key: <key>". Each key carries
+// scopes: "subscribe" (create flavor alert subscriptions), "scrape" (trigger
+// and inspect scrapes) and "admin" (everything, including the other two).
+// With no keys configured, protected routes reject every request.
+
+const crypto = require("crypto");
+const CONFIG = require("./config");
+const logger = require("./logger");
+
+const SCOPES = ["subscribe", "scrape", "admin"];
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest();
+}
+
+// Parses "<key>:<scope>+<scope>,<key>:<scope>" into [{ id, hash, scopes }].
+// `id` is a short fingerprint that is safe to log.
+function parseApiKeys(value) {
+  const keys = [];
+
+  for (const entry of String(value || "").split(",")) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const separator = trimmed.lastIndexOf(":");
+    const key = separator === -1 ? "" : trimmed.slice(0, separator);
+    const scopes = trimmed.slice(separator + 1).split("+");
+
+    if (!key || !scopes.every((scope) => SCOPES.includes(scope))) {
+      logger.warn("Ignoring malformed API_KEYS entry");
+      continue;
+    }
+
+    const hash = hashKey(key);
+    keys.push({ id: hash.toString("hex").slice(0, 8), hash, scopes });
+  }
+
+  return keys;
+}
+
+// The parsed CONFIG.API_KEYS, parsed again only if the setting changes
+let configuredKeys = null;
+
+function getApiKeys() {
+  if (!configuredKeys || configuredKeys.source !== CONFIG.API_KEYS) {
+    configuredKeys = {
+      source: CONFIG.API_KEYS,
+      keys: parseApiKeys(CONFIG.API_KEYS),
+    };
+  }
+  return configuredKeys.keys;
+}
+
+function getPresentedKey(req) {
+  const authorization = req.get("authorization") || "";
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+  if (bearer) return bearer[1];
+  return req.get("x-api-key") || null;
+}
+
+// Resolves the request's key against the configured keys, comparing hashes in
+// constant time. Returns the matching key or null.
+function findApiKey(presented) {
+  const hash = hashKey(presented);
+  return (
+    getApiKeys().find((key) => crypto.timingSafeEqual(key.hash, hash)) || null
+  );
+}
+
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes("admin") || apiKey.scopes.includes(scope);
+}
+
+// Middleware that sets req.apiKey when a valid key was sent. Requests without
+// a key (or with an unknown one) pass through as anonymous.
+function identifyApiKey(req, res, next) {
+  const presented = getPresentedKey(req);
+  req.apiKey = presented ? findApiKey(presented) : null;
+  next();
+}
+
+// Middleware that rejects requests without a valid key carrying `scope`
+function requireScope(scope) {
+  return (req, res, next) => {
+    const presented = getPresentedKey(req);
+
+    if (!presented) {
+      res.set("WWW-Authenticate", 'Bearer realm="api"');
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "An API key is required for this endpoint",
+      });
+    }
+
+    const apiKey = findApiKey(presented);
+    if (!apiKey) {
+      logger.warn(`Rejected invalid API key for ${req.method} ${req.path}`);
+      res.set("WWW-Authenticate", 'Bearer realm="api", error="invalid_token"');
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Invalid API key",
+      });
+    }
+
+    if (!hasScope(apiKey, scope)) {
+      logger.warn(`API key ${apiKey.id} lacks scope "${scope}"`);
+      return res.status(403).json({
+        error: "Forbidden",
+        message: `API key lacks the "${scope}" scope`,
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+module.exports = {
+  SCOPES,
+  parseApiKeys,
+  getApiKeys,
+  getPresentedKey,
+  findApiKey,
+  hasScope,
+  identifyApiKey,
+  requireScope,
+};
@@ -0,0 +1,150 @@
+// ============================================
+// DATASET BACKUPS
+// ============================================
+// Every saved dataset is also written to DATA_DIR/backups/ as
+// flavors-<saved at>.json, keeping the newest CONFIG.BACKUP_LIMIT. The JSON
+// storage backend falls back to the newest readable backup when flavors.json
+// is corrupt, and admins can list and restore backups through the API.
+//
+// Writes go through writeFileAtomic: the contents are written and fsynced to
+// a temp file in the same directory, then renamed over the target, so a crash
+// or a full disk leaves either the old file or the new one, never half of it.
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const CONFIG = require("./config");
+const logger = require("./logger");
+
+const BACKUP_NAME =
+  /^flavors-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+
+function getBackupDir() {
+  return path.join(CONFIG.DATA_DIR, "backups");
+}
+
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  let handle = null;
+
+  try {
+    handle = await fs.open(tempPath, "w");
+    await handle.writeFile(contents);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) await handle.close().catch(() => {});
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Parses a saved dataset, throwing if it is truncated or not a dataset
+function parseDataset(text) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.stands)) {
+    throw new Error("Not a flavor dataset");
+  }
+  return data;
+}
+
+// Backup names, newest first
+async function listBackupNames() {
+  try {
+    return (await fs.readdir(getBackupDir()))
+      .filter((name) => BACKUP_NAME.test(name))
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+// "flavors-2026-01-07T12-00-00-000Z.json" -> "2026-01-07T12:00:00.000Z"
+function backupCreatedAt(name) {
+  const [, date, hours, minutes, seconds, ms] = BACKUP_NAME.exec(name);
+  return `${date}T${hours}:${minutes}:${seconds}.${ms}Z`;
+}
+
+async function pruneBackups() {
+  const expired = (await listBackupNames()).slice(CONFIG.BACKUP_LIMIT);
+  for (const name of expired) {
+    await fs.rm(path.join(getBackupDir(), name), { force: true });
+  }
+}
+
+// Writes `data` as the newest backup and drops the oldest beyond the limit
+async function saveBackup(data, now = new Date()) {
+  const name = `flavors-${now.toISOString().replace(/[:.]/g, "-")}.json`;
+
+  await fs.mkdir(getBackupDir(), { recursive: true });
+  await writeFileAtomic(
+    path.join(getBackupDir(), name),
+    JSON.stringify(data, null, 2)
+  );
+  await pruneBackups();
+  return name;
+}
+
+// The dataset in backup `name`, or null if there is no such backup. Throws if
+// the backup is unreadable.
+async function loadBackup(name) {
+  if (!BACKUP_NAME.test(name)) return null;
+
+  try {
+    return parseDataset(
+      await fs.readFile(path.join(getBackupDir(), name), "utf8")
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Newest first, with a summary of what each backup holds
+async function listBackups() {
+  const backups = [];
+
+  for (const name of await listBackupNames()) {
+    const summary = { name: name, createdAt: backupCreatedAt(name) };
+    try {
+      const data = await loadBackup(name);
+      if (!data) continue;
+      backups.push({
+        ...summary,
+        valid: true,
+        timestamp: data.timestamp,
+        totalLocations: data.stands.length,
+      });
+    } catch (error) {
+      backups.push({ ...summary, valid: false, error: error.message });
+    }
+  }
+
+  return backups;
+}
+
+// { name, data } for the newest backup that can be read, or null
+async function loadNewestValidBackup() {
+  for (const name of await listBackupNames()) {
+    try {
+      const data = await loadBackup(name);
+      if (data) return { name: name, data: data };
+    } catch (error) {
+      logger.warn(`Skipping unreadable backup ${name}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  writeFileAtomic,
+  parseDataset,
+  saveBackup,
+  loadBackup,
+  listBackups,
+  loadNewestValidBackup,
+};
@@ -0,0 +1,147 @@
+// ============================================
+// ICALENDAR FEEDS
+// ============================================
+// RFC 5545 calendars built from stands' forecast days: one all-day event per
+// stand and date, however many forecast days share the date. UIDs are derived
+// from the stand, date and (for flavor feeds) the search term, so when a
+// forecast changes calendar apps update the existing event instead of adding
+// a duplicate.
+
+const { addDays } = require("./dates");
+const { normalizeText } = require("./search");
+
+const PRODID = "-//Milwaukee Custard Tracker//Flavor Forecast//EN";
+const UID_DOMAIN = "milwaukee-custard-tracker";
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Folds a content line to 75 octets, continuing with CRLF + space
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+function toIcsDate(isoDate) {
+  return isoDate.replace(/-/g, "");
+}
+
+function toIcsTimestamp(isoTimestamp) {
+  return new Date(isoTimestamp)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+function slugify(text) {
+  return normalizeText(text).replace(/ /g, "-");
+}
+
+// A stand's real flavors by date, in forecast order. A date can have more
+// than one day (Leon's "always" day beside today's special, or duplicates
+// flagged as a conflict); their flavors are combined, each name once.
+function groupFlavorsByDate(stand) {
+  const byDate = new Map();
+
+  for (const day of stand.flavors || []) {
+    if (day.placeholder || !/^\d{4}-\d{2}-\d{2}$/.test(day.date)) continue;
+
+    const flavors = byDate.get(day.date) || [];
+    for (const flavor of day.flavors || []) {
+      const key = normalizeText(flavor.name);
+      if (!flavors.some((f) => normalizeText(f.name) === key)) {
+        flavors.push(flavor);
+      }
+    }
+    byDate.set(day.date, flavors);
+  }
+
+  return byDate;
+}
+
+// One event per date that has real flavors, so each UID appears once.
+// `uidSuffix` separates feeds (e.g. a flavor feed) that cover the same stand
+// and date.
+function buildStandEvents(stand, { flavorFilter, uidSuffix } = {}) {
+  return [...groupFlavorsByDate(stand)]
+    .map(([date, flavors]) => ({
+      date,
+      flavors: flavorFilter ? flavors.filter(flavorFilter) : flavors,
+    }))
+    .filter(({ flavors }) => flavors.length > 0)
+    .map(({ date, flavors }) => ({
+      uid: [stand.id, date, uidSuffix].filter(Boolean).join("-"),
+      date: date,
+      summary: `${stand.name} (${stand.location}): ${flavors
+        .map((f) => f.name)
+        .join(", ")}`,
+      description: [
+        ...flavors.map((f) =>
+          f.description ? `${f.name}: ${f.description}` : f.name
+        ),
+        "",
+        stand.address,
+        stand.website,
+      ]
+        .filter((line) => line !== undefined)
+        .join("\n"),
+      location: stand.address,
+      url: stand.website,
+    }));
+}
+
+function buildCalendar({ name, timestamp, events }) {
+  const dtstamp = toIcsTimestamp(timestamp || new Date().toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}@${UID_DOMAIN}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(addDays(event.date, 1))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  slugify,
+  buildStandEvents,
+  buildCalendar,
+};
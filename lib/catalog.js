@@ -0,0 +1,265 @@
+// ============================================
+// FLAVOR CATALOG
+// ============================================
+// Chains name the same flavor differently ("Cookies 'n Cream", "Cookies and
+// Cream"). data/flavor-catalog.json lists canonical flavors with their
+// aliases, tags and allergens. Every scraped flavor is matched against it by
+// normalized name and annotated with:
+//
+//   flavorId:      catalog id, or a slug of the name for uncatalogued flavors
+//   canonicalName: catalog name, or the scraped name
+//   tags:          catalog tags plus tags inferred from name and description
+//   allergens:     allergen hints, likewise
+//
+// Allergens are hints from the wording, not guarantees. Frozen custard always
+// contains milk and egg, so those are never listed.
+//
+// The catalog served by /api/catalog is built from what the stands actually
+// serve: every saved dataset adds its flavors to DATA_DIR/observed-flavors.json
+// under their flavorId, with each spelling seen kept as an alias. The bundled
+// file only decides which names are the same flavor and adds their metadata;
+// bundled flavors no stand has served are not listed. Flavors unseen for
+// CONFIG.HISTORY_RETENTION_DAYS are dropped.
+
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("./config");
+const { writeFileAtomic } = require("./backups");
+const { addDays } = require("./dates");
+const { normalizeText } = require("./search");
+const bundledCatalog = require("../data/flavor-catalog.json");
+
+const TAGS = [
+  "chocolate-base",
+  "nuts",
+  "fruit",
+  "seasonal",
+  "always-available",
+];
+const ALLERGENS = ["peanuts", "tree-nuts", "wheat"];
+
+// Matched against normalized (lowercase, punctuation-free) text
+const TREE_NUTS =
+  "pecans?|walnuts?|almonds?|cashews?|pistachios?|hazelnuts?|macadamias?|praline|coconut";
+
+const TAG_RULES = {
+  "chocolate-base": ({ name, description }) =>
+    /^(dark |double |triple |german )?chocolate\b/.test(name) ||
+    /\bchocolate (frozen )?custard\b/.test(description),
+  nuts: ({ text }) =>
+    new RegExp(`\\b(${TREE_NUTS}|peanuts?|nuts?)\\b`).test(text),
+  fruit: ({ text }) =>
+    /\b(strawberr(y|ies)|raspberr(y|ies)|blueberr(y|ies)|blackberr(y|ies)|cherr(y|ies)|cranberr(y|ies)|berry|peach(es)?|bananas?|lemon|lime|orange|mango|pineapple|apples?)\b/.test(
+      text
+    ),
+  seasonal: ({ text }) =>
+    /\b(pumpkin|egg ?nog|peppermint|gingerbread|holiday|seasonal|limited time)\b/.test(
+      text
+    ),
+  "always-available": ({ text, dayLabel }) =>
+    dayLabel === "always" || /\balways available\b/.test(text),
+};
+
+const ALLERGEN_RULES = {
+  peanuts: ({ text }) =>
+    /\b(peanuts?|pb|reeses|butterfinger|snickers)\b/.test(text),
+  "tree-nuts": ({ text }) => new RegExp(`\\b(${TREE_NUTS})\\b`).test(text),
+  wheat: ({ text }) =>
+    /\b(cookies?|dough|brownies?|cakes?|cheesecake|pie|graham|waffle|cones?|oreo|pretzels?|cobbler|crust)\b/.test(
+      text
+    ),
+};
+
+let catalog = null;
+
+// Entries from data/flavor-catalog.json, indexed by normalized name and alias
+function getCatalog() {
+  if (!catalog) {
+    const byName = new Map();
+    for (const entry of bundledCatalog) {
+      for (const name of [entry.name, ...(entry.aliases || [])]) {
+        byName.set(normalizeText(name), entry);
+      }
+    }
+    catalog = { entries: bundledCatalog, byName };
+  }
+  return catalog;
+}
+
+function findCatalogEntry(name) {
+  return getCatalog().byName.get(normalizeText(name)) || null;
+}
+
+function matchRules(rules, context) {
+  return Object.keys(rules).filter((key) => rules[key](context));
+}
+
+// `dayLabel` is the forecast day's label; "always" marks always-available
+// flavors such as Leon's.
+function annotateFlavor(flavor, dayLabel) {
+  const entry = findCatalogEntry(flavor.name);
+  const name = normalizeText(flavor.name);
+  const description = normalizeText(flavor.description);
+  const context = {
+    name,
+    description,
+    text: `${name} ${description}`,
+    dayLabel,
+  };
+
+  const tags = new Set([
+    ...((entry && entry.tags) || []),
+    ...matchRules(TAG_RULES, context),
+  ]);
+  const allergens = new Set([
+    ...((entry && entry.allergens) || []),
+    ...matchRules(ALLERGEN_RULES, context),
+  ]);
+
+  return {
+    ...flavor,
+    flavorId: entry ? entry.id : name.replace(/ /g, "-"),
+    canonicalName: entry ? entry.name : flavor.name,
+    tags: TAGS.filter((tag) => tags.has(tag)),
+    allergens: ALLERGENS.filter((allergen) => allergens.has(allergen)),
+  };
+}
+
+// Annotates every real flavor on a stand. Placeholder and "closed" days hold
+// notices rather than flavors and are left as they are.
+function annotateStand(stand) {
+  return {
+    ...stand,
+    flavors: (stand.flavors || []).map((day) =>
+      day.placeholder || day.dayLabel === "closed"
+        ? day
+        : {
+            ...day,
+            flavors: day.flavors.map((f) => annotateFlavor(f, day.dayLabel)),
+          }
+    ),
+  };
+}
+
+// Keeps only flavors carrying every tag in `tags` and none of
+// `excludeAllergens`. Days left without flavors are dropped, and the stand
+// itself (null is returned) when no days remain. Flavors saved before the
+// catalog existed are annotated on the fly so allergen filters still apply.
+function filterStandFlavors(stand, { tags = [], excludeAllergens = [] }) {
+  const matches = (flavor) =>
+    tags.every((tag) => flavor.tags.includes(tag)) &&
+    !excludeAllergens.some((allergen) => flavor.allergens.includes(allergen));
+
+  const days = (stand.flavors || [])
+    .filter((day) => !day.placeholder && day.dayLabel !== "closed")
+    .map((day) => ({
+      ...day,
+      flavors: day.flavors
+        .map((f) => (f.tags ? f : annotateFlavor(f, day.dayLabel)))
+        .filter(matches),
+    }))
+    .filter((day) => day.flavors.length > 0);
+
+  return days.length > 0 ? { ...stand, flavors: days } : null;
+}
+
+// ============================================
+// OBSERVED CATALOG
+// ============================================
+
+function getObservedPath() {
+  return path.join(CONFIG.DATA_DIR, "observed-flavors.json");
+}
+
+function addUnique(list, values) {
+  for (const value of values) {
+    if (!list.includes(value)) list.push(value);
+  }
+}
+
+// Adds the flavors `data` serves on `date` to `observed` (entries keyed by
+// flavorId) and returns it. Placeholder and "closed" days are skipped.
+function mergeObservedFlavors(observed, data, date) {
+  for (const stand of data.stands) {
+    for (const day of stand.flavors || []) {
+      if (day.placeholder || day.dayLabel === "closed") continue;
+
+      for (const raw of day.flavors || []) {
+        const flavor = raw.flavorId ? raw : annotateFlavor(raw, day.dayLabel);
+        if (!observed[flavor.flavorId]) {
+          observed[flavor.flavorId] = {
+            id: flavor.flavorId,
+            name: flavor.canonicalName,
+            aliases: [],
+            tags: [],
+            allergens: [],
+            stands: [],
+            firstSeen: date,
+            lastSeen: date,
+          };
+        }
+        const entry = observed[flavor.flavorId];
+
+        if (normalizeText(flavor.name) !== normalizeText(entry.name)) {
+          addUnique(entry.aliases, [flavor.name]);
+        }
+        addUnique(entry.tags, flavor.tags);
+        addUnique(entry.allergens, flavor.allergens);
+        addUnique(entry.stands, [stand.id]);
+        if (date > entry.lastSeen) entry.lastSeen = date;
+      }
+    }
+  }
+
+  const cutoff = addDays(date, -CONFIG.HISTORY_RETENTION_DAYS);
+  for (const [id, entry] of Object.entries(observed)) {
+    if (entry.lastSeen < cutoff) delete observed[id];
+  }
+
+  return observed;
+}
+
+async function loadObservedFlavors() {
+  try {
+    return JSON.parse(await fs.readFile(getObservedPath(), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+}
+
+async function recordObservedFlavors(data, date) {
+  const observed = mergeObservedFlavors(
+    await loadObservedFlavors(),
+    data,
+    date
+  );
+
+  await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+  await writeFileAtomic(getObservedPath(), JSON.stringify(observed, null, 2));
+  return observed;
+}
+
+// Observed flavors sorted by name, with tags and allergens in canonical order
+async function listObservedFlavors() {
+  return Object.values(await loadObservedFlavors())
+    .map((entry) => ({
+      ...entry,
+      tags: TAGS.filter((tag) => entry.tags.includes(tag)),
+      allergens: ALLERGENS.filter((a) => entry.allergens.includes(a)),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  TAGS,
+  ALLERGENS,
+  getCatalog,
+  findCatalogEntry,
+  annotateFlavor,
+  annotateStand,
+  filterStandFlavors,
+  mergeObservedFlavors,
+  recordObservedFlavors,
+  listObservedFlavors,
+};
@@ -0,0 +1,224 @@
+// ============================================
+// FLAVOR CHANGE DETECTION
+// ============================================
+// Every saved dataset is compared with the one it replaces, and the
+// differences are appended to DATA_DIR/changes.json:
+//
+//   flavor-added / flavor-removed   a flavor appeared on or left a stand's date
+//   flavor-swapped                  exactly one flavor replaced another
+//   status-changed                  e.g. "open" -> "closed"
+//   stand-added / stand-removed
+//
+// Placeholder and "closed" notice days are not flavors and are ignored, as
+// are dates before today (they fall out of forecasts naturally). Leon's
+// "always" flavors are compared by label since their date moves every day.
+// Changes older than CONFIG.CHANGELOG_RETENTION_DAYS are dropped.
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("./config");
+const { writeFileAtomic } = require("./backups");
+const { normalizeText } = require("./search");
+
+const CHANGE_TYPES = [
+  "flavor-added",
+  "flavor-removed",
+  "flavor-swapped",
+  "status-changed",
+  "stand-added",
+  "stand-removed",
+];
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+function getChangesPath() {
+  return path.join(CONFIG.DATA_DIR, "changes.json");
+}
+
+function describeDay(day) {
+  if (day.dayLabel === "always") return "every day";
+  return WEEKDAYS[new Date(`${day.date}T12:00:00Z`).getUTCDay()];
+}
+
+// Forecast days keyed by date (or "always"), each with its flavors keyed by
+// catalog id or normalized name
+function indexDays(stand, today) {
+  const days = new Map();
+
+  for (const day of stand.flavors || []) {
+    if (day.placeholder || day.dayLabel === "closed") continue;
+    if (day.dayLabel !== "always" && day.date < today) continue;
+
+    const key = day.dayLabel === "always" ? "always" : day.date;
+    const flavors = days.has(key) ? days.get(key).flavors : new Map();
+    for (const flavor of day.flavors || []) {
+      flavors.set(flavor.flavorId || normalizeText(flavor.name), flavor.name);
+    }
+    days.set(key, { day, flavors });
+  }
+
+  return days;
+}
+
+function diffStandDays(before, after, today) {
+  const previousDays = indexDays(before, today);
+  const nextDays = indexDays(after, today);
+  const changes = [];
+
+  for (const key of new Set([...previousDays.keys(), ...nextDays.keys()])) {
+    const previous = previousDays.get(key);
+    const next = nextDays.get(key);
+    const day = (next || previous).day;
+    const oldFlavors = previous ? previous.flavors : new Map();
+    const newFlavors = next ? next.flavors : new Map();
+
+    const removed = [...oldFlavors.keys()]
+      .filter((id) => !newFlavors.has(id))
+      .map((id) => oldFlavors.get(id));
+    const added = [...newFlavors.keys()]
+      .filter((id) => !oldFlavors.has(id))
+      .map((id) => newFlavors.get(id));
+
+    const base = {
+      date: key === "always" ? null : key,
+      dayLabel: describeDay(day),
+    };
+
+    if (removed.length === 1 && added.length === 1) {
+      changes.push({
+        ...base,
+        type: "flavor-swapped",
+        from: removed[0],
+        to: added[0],
+      });
+      continue;
+    }
+    for (const flavor of removed) {
+      changes.push({ ...base, type: "flavor-removed", flavor });
+    }
+    for (const flavor of added) {
+      changes.push({ ...base, type: "flavor-added", flavor });
+    }
+  }
+
+  return changes;
+}
+
+function describeChange(change) {
+  const where = `${change.standName} (${change.location})`;
+
+  switch (change.type) {
+    case "stand-added":
+      return `${where} added`;
+    case "stand-removed":
+      return `${where} removed`;
+    case "status-changed":
+      return `${where} is now ${change.to} (was ${change.from})`;
+    case "flavor-swapped":
+      return `${where} ${change.dayLabel} changed from ${change.from} to ${change.to}`;
+    case "flavor-added":
+      return `${where} ${change.dayLabel}: ${change.flavor} added`;
+    case "flavor-removed":
+      return `${where} ${change.dayLabel}: ${change.flavor} removed`;
+  }
+}
+
+// Compares two datasets and returns the changes between them, stamped with
+// `timestamp` (the new dataset's scrape time)
+function diffDatasets(previous, next, { today, timestamp }) {
+  const previousStands = new Map(
+    ((previous && previous.stands) || []).map((stand) => [stand.id, stand])
+  );
+  const nextStands = new Map(
+    ((next && next.stands) || []).map((stand) => [stand.id, stand])
+  );
+  const changes = [];
+
+  for (const id of new Set([...previousStands.keys(), ...nextStands.keys()])) {
+    const before = previousStands.get(id);
+    const after = nextStands.get(id);
+    const stand = after || before;
+    const standChanges = [];
+
+    if (!before) {
+      standChanges.push({ type: "stand-added" });
+    } else if (!after) {
+      standChanges.push({ type: "stand-removed" });
+    } else {
+      if (before.status !== after.status) {
+        standChanges.push({
+          type: "status-changed",
+          from: before.status,
+          to: after.status,
+        });
+      }
+      standChanges.push(...diffStandDays(before, after, today));
+    }
+
+    for (const change of standChanges) {
+      const full = {
+        id: crypto.randomUUID(),
+        timestamp,
+        standId: id,
+        standName: stand.name,
+        location: stand.location,
+        ...change,
+      };
+      full.message = describeChange(full);
+      changes.push(full);
+    }
+  }
+
+  return changes;
+}
+
+async function loadChanges() {
+  try {
+    return JSON.parse(await fs.readFile(getChangesPath(), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+// Appends `changes` to the changelog and drops entries past retention
+async function appendChanges(changes) {
+  const cutoff =
+    Date.now() - CONFIG.CHANGELOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const kept = (await loadChanges()).filter(
+    (change) => Date.parse(change.timestamp) >= cutoff
+  );
+
+  await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+  await writeFileAtomic(
+    getChangesPath(),
+    JSON.stringify([...kept, ...changes], null, 2)
+  );
+}
+
+// Changes recorded after `since` (an ISO timestamp), newest first
+async function getChanges({ since, locationId, type } = {}) {
+  const sinceTime = since ? Date.parse(since) : -Infinity;
+
+  return (await loadChanges())
+    .filter((change) => Date.parse(change.timestamp) > sinceTime)
+    .filter((change) => !locationId || change.standId === locationId)
+    .filter((change) => !type || change.type === type)
+    .reverse();
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  diffDatasets,
+  appendChanges,
+  getChanges,
+};
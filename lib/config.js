@@ -0,0 +1,80 @@
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Unset means one hop: the platform's proxy (Railway) in front of the app
+function parseTrustProxy(value) {
+  if (value === undefined || value === "") return 1;
+  if (value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+const CONFIG = {
+  PORT: process.env.PORT || 4000,
+  NODE_ENV: process.env.NODE_ENV || "production",
+  SCRAPE_TIMEOUT: 30000,
+  PAGE_TIMEOUT: 45000, // a whole page load: navigation, rendering and content
+  SCRAPE_CONCURRENCY: parseInt(process.env.SCRAPE_CONCURRENCY) || 4,
+  BROWSER_POOL_SIZE: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+  SCRAPE_DOMAIN_INTERVAL: 1000, // between loads from the same host
+  MEMORY_SAMPLE_INTERVAL: 1000, // while a scraper runs, see lib/pageload.js
+  BROWSER_ARGS: [
+    "--no-sandbox",
+    "--disable-setuid-sandbox",
+    "--disable-dev-shm-usage",
+    "--disable-accelerated-2d-canvas",
+    "--no-first-run",
+    "--no-zygote",
+    "--disable-gpu",
+  ],
+  DATA_DIR: process.env.DATA_DIR || "./data",
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || "json", // "json" or "sqlite"
+  SQLITE_PATH: process.env.SQLITE_PATH || null, // default DATA_DIR/custard.db
+  SCRAPE_SCHEDULE: "0 6 * * *", // 6 AM daily
+  CULVERS_DIRECTORY_URL:
+    process.env.CULVERS_DIRECTORY_URL || "https://www.culvers.com/locator/wi",
+  CULVERS_CENTER: { lat: 43.0389, lng: -87.9065 }, // Milwaukee City Hall
+  CULVERS_RADIUS_MILES: parseFloat(process.env.CULVERS_RADIUS_MILES) || 25,
+  CULVERS_DISCOVERY_INTERVAL: 7 * 24 * 60 * 60 * 1000, // weekly
+  TIMEZONE: "America/Chicago",
+  HISTORY_RETENTION_DAYS: parseInt(process.env.HISTORY_RETENTION_DAYS) || 365,
+  CHANGELOG_RETENTION_DAYS:
+    parseInt(process.env.CHANGELOG_RETENTION_DAYS) || 90,
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 3,
+  WEBHOOK_RETRY_DELAY: 1000, // doubles after each failed attempt
+  WEBHOOK_TIMEOUT: 10000,
+  WEBHOOK_CONCURRENCY: parseInt(process.env.WEBHOOK_CONCURRENCY) || 4,
+  // Lets webhooks reach loopback and private addresses, for local testing only
+  WEBHOOK_ALLOW_PRIVATE_HOSTS:
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true",
+  SCRAPE_LOCK_TTL: 15 * 60 * 1000, // refreshed while the job is running
+  OVERRIDE_REFRESH_RETRY_DELAY: 5000, // while another job holds the lock
+  JOB_HISTORY_LIMIT: 50,
+  RUN_LOG_LIMIT: 200,
+  BACKUP_LIMIT: parseInt(process.env.BACKUP_LIMIT) || 10,
+  CACHE_MAX_AGE: parseInt(process.env.CACHE_MAX_AGE) || 60, // seconds
+  COMPRESSION: process.env.COMPRESSION !== "false",
+  // "<key>:<scope>+<scope>,..." with scopes "subscribe", "scrape" and "admin"
+  API_KEYS: process.env.API_KEYS || "",
+  // Comma-separated origins allowed by CORS; "*" allows any origin
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || "*")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+  // Express "trust proxy" setting, so req.ip is the client behind the proxy.
+  // Rate limits count per req.ip: without it every client behind the proxy
+  // shares one bucket. Set TRUST_PROXY=false when clients connect directly,
+  // or they can pick their own req.ip through X-Forwarded-For.
+  TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY),
+  RATE_LIMIT_WINDOW_MS: 60 * 1000,
+  RATE_LIMIT_PUBLIC_PER_IP:
+    parseInt(process.env.RATE_LIMIT_PUBLIC_PER_IP) || 120,
+  RATE_LIMIT_PUBLIC_PER_KEY:
+    parseInt(process.env.RATE_LIMIT_PUBLIC_PER_KEY) || 600,
+  RATE_LIMIT_ADMIN_PER_IP: parseInt(process.env.RATE_LIMIT_ADMIN_PER_IP) || 60,
+  RATE_LIMIT_ADMIN_PER_KEY:
+    parseInt(process.env.RATE_LIMIT_ADMIN_PER_KEY) || 30,
+};
+
+module.exports = CONFIG;
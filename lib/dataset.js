@@ -0,0 +1,45 @@
+// ============================================
+// DATASET MERGING
+// ============================================
+// A targeted scrape only covers some stands. Its results are merged into the
+// saved dataset: refreshed stands replace their saved copies (or are appended
+// when new), and every other stand, along with its errors, is left untouched.
+
+// `partial` is the targeted scrape's results; `scrapers` are the display names
+// of the scrapers it ran, whose earlier scraper-wide errors it supersedes.
+function mergeDatasets(previous, partial, scrapers = []) {
+  const refreshed = new Map(partial.stands.map((stand) => [stand.id, stand]));
+  const previousStands = (previous && previous.stands) || [];
+
+  const stands = previousStands.map(
+    (stand) => refreshed.get(stand.id) || stand
+  );
+  const previousIds = new Set(previousStands.map((stand) => stand.id));
+  for (const stand of partial.stands) {
+    if (!previousIds.has(stand.id)) stands.push(stand);
+  }
+
+  const keptErrors = ((previous && previous.errors) || []).filter((error) =>
+    error.standId
+      ? !refreshed.has(error.standId)
+      : !scrapers.includes(error.scraper)
+  );
+
+  return {
+    ...previous,
+    timestamp: partial.timestamp,
+    lastUpdated: partial.lastUpdated,
+    totalLocations: stands.length,
+    stands,
+    errors: [...keptErrors, ...partial.errors],
+    // Per-mode totals describe the latest run of each mode
+    scrapeStats: {
+      ...(previous && previous.scrapeStats),
+      ...partial.scrapeStats,
+    },
+  };
+}
+
+module.exports = {
+  mergeDatasets,
+};
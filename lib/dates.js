@@ -0,0 +1,202 @@
+// ============================================
+// FORECAST DATES
+// ============================================
+// Every scraper resolves its day headers through this module. Dates are ISO
+// calendar dates ("2026-01-07") in CONFIG.TIMEZONE: "today" is the stands'
+// local date, not the UTC date, which is already tomorrow after 6 PM Central.
+//
+// resolveDayHeader turns header text ("Today", "Tomorrow", "Friday",
+// "Fri 1/9", "January 9") into { date, dayLabel, conflict }:
+//
+//   - an explicit month/day wins over "Today"/"Tomorrow" and weekday names
+//   - month/day headers take the year that puts them nearest to today, so
+//     "Thu 1/1" scraped on December 30 lands in the next year
+//   - a bare weekday is its next occurrence, today included
+//   - conflict describes any label that disagrees with the resolved date,
+//     e.g. "Fri 1/8" when January 8 is a Thursday, and is null otherwise
+
+const CONFIG = require("./config");
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+// Well-formed and a real calendar date: "2026-13-01" and "2026-02-30" are not
+function isIsoDate(value) {
+  if (typeof value !== "string" || !ISO_DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Days from `from` to `to`, negative when `to` is earlier
+function daysBetween(from, to) {
+  return Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS
+  );
+}
+
+function weekdayOf(isoDate) {
+  return WEEKDAYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()];
+}
+
+// The calendar date in `timeZone` at `now`
+function todayIn(timeZone = CONFIG.TIMEZONE, now = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  })
+    .formatToParts(now)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// The date for month/day nearest to `today`, looking one year either way
+function nearestDate(month, day, today) {
+  const year = parseInt(today.slice(0, 4));
+  const pad = (n) => String(n).padStart(2, "0");
+
+  return [year, year - 1, year + 1]
+    .map((y) => `${y}-${pad(month)}-${pad(day)}`)
+    .filter(isIsoDate)
+    .reduce(
+      (best, date) =>
+        !best ||
+        Math.abs(daysBetween(today, date)) < Math.abs(daysBetween(today, best))
+          ? date
+          : best,
+      null
+    );
+}
+
+function findExplicitDate(header, today) {
+  const numeric = header.match(/\b(\d{1,2})\/(\d{1,2})\b/);
+  if (numeric) {
+    return nearestDate(parseInt(numeric[1]), parseInt(numeric[2]), today);
+  }
+
+  const named = header.match(
+    /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})\b/
+  );
+  if (named) {
+    return nearestDate(MONTHS.indexOf(named[1]) + 1, parseInt(named[2]), today);
+  }
+
+  return null;
+}
+
+// "fri", "thurs" and "friday" all name a weekday; "sundae" does not
+function findWeekday(words) {
+  for (const word of words) {
+    if (word.length < 3) continue;
+    const weekday = WEEKDAYS.find((name) => name.startsWith(word));
+    if (weekday) return weekday;
+  }
+  return null;
+}
+
+function deriveDayLabel(date, today) {
+  if (date === today) return "today";
+  if (date === addDays(today, 1)) return "tomorrow";
+  return weekdayOf(date);
+}
+
+// Resolves scraped header text to { date, dayLabel, conflict } relative to
+// `today`, or null if the text carries no recognizable date.
+function resolveDayHeader(text, today) {
+  if (isIsoDate(text)) {
+    return {
+      date: text,
+      dayLabel: deriveDayLabel(text, today),
+      conflict: null,
+    };
+  }
+
+  const header = String(text || "").toLowerCase();
+  const words = header.match(/[a-z]+/g) || [];
+  const relative = words.includes("today")
+    ? { word: "today", date: today }
+    : words.includes("tomorrow")
+    ? { word: "tomorrow", date: addDays(today, 1) }
+    : null;
+  const explicit = findExplicitDate(header, today);
+  const weekday = findWeekday(words);
+
+  let date = explicit || (relative && relative.date);
+  if (!date && weekday) {
+    const offset =
+      (WEEKDAYS.indexOf(weekday) - WEEKDAYS.indexOf(weekdayOf(today)) + 7) % 7;
+    date = addDays(today, offset);
+  }
+  if (!date) return null;
+
+  const conflicts = [];
+  if (relative && relative.date !== date) {
+    conflicts.push(`${relative.word} is ${relative.date}`);
+  }
+  if (weekday && weekday !== weekdayOf(date)) {
+    conflicts.push(`${date} is a ${weekdayOf(date)}, not a ${weekday}`);
+  }
+
+  return {
+    date: date,
+    dayLabel: deriveDayLabel(date, today),
+    conflict: conflicts.length
+      ? `"${String(text).trim()}" resolved to ${date}, but ${conflicts.join(
+          " and "
+        )}`
+      : null,
+  };
+}
+
+function resolveHeaderDate(text, today) {
+  const resolved = resolveDayHeader(text, today);
+  return resolved ? resolved.date : null;
+}
+
+module.exports = {
+  WEEKDAYS,
+  addDays,
+  isIsoDate,
+  daysBetween,
+  weekdayOf,
+  todayIn,
+  deriveDayLabel,
+  resolveDayHeader,
+  resolveHeaderDate,
+};
@@ -0,0 +1,305 @@
+// ============================================
+// CULVER'S LOCATION DISCOVERY
+// ============================================
+// Builds the list of Culver's restaurants to scrape from Culver's own pages
+// instead of hand-maintained registry entries:
+//
+//   1. the state directory (CONFIG.CULVERS_DIRECTORY_URL) links every
+//      restaurant as /restaurants/<slug>
+//   2. each restaurant page carries schema.org JSON-LD with its address,
+//      phone, coordinates and opening hours
+//
+// Restaurants within CONFIG.CULVERS_RADIUS_MILES of CONFIG.CULVERS_CENTER are
+// cached in DATA_DIR/culvers-locations.json and rediscovered once the cache is
+// older than CONFIG.CULVERS_DISCOVERY_INTERVAL. Fetching is left to the
+// caller, so the parsers here work offline against test/fixtures.
+//
+// A rediscovery that comes back empty, or with under MIN_KEPT_RATIO of the
+// cached restaurants for the same area, is refused and the cache kept: a
+// changed directory page or a run of failed requests looks just like that,
+// while real closures come a few at a time.
+
+const fs = require("fs").promises;
+const path = require("path");
+const cheerio = require("cheerio");
+const CONFIG = require("./config");
+const { distanceMiles, hasCoordinates } = require("./geo");
+const { validateSchedule } = require("./hours");
+const { writeFileAtomic } = require("./backups");
+
+const MIN_KEPT_RATIO = 0.5;
+const RESTAURANT_PATH = /\/restaurants\/([a-z0-9-]+)\/?$/;
+const DAY_KEYS = {
+  sunday: "sun",
+  monday: "mon",
+  tuesday: "tue",
+  wednesday: "wed",
+  thursday: "thu",
+  friday: "fri",
+  saturday: "sat",
+};
+
+function getCachePath() {
+  return path.join(CONFIG.DATA_DIR, "culvers-locations.json");
+}
+
+function cleanText(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// ============================================
+// PAGE PARSERS
+// ============================================
+
+// Restaurant slugs linked from a directory page, in page order
+function parseCulversDirectoryHtml(html) {
+  const $ = cheerio.load(html);
+  const slugs = [];
+
+  $('a[href*="/restaurants/"]').each((i, link) => {
+    const href = String($(link).attr("href")).split(/[?#]/)[0];
+    const match = href.match(RESTAURANT_PATH);
+    if (match && !slugs.includes(match[1])) slugs.push(match[1]);
+  });
+
+  return slugs;
+}
+
+function findRestaurantJsonLd($) {
+  const candidates = [];
+
+  $('script[type="application/ld+json"]').each((i, script) => {
+    try {
+      const parsed = JSON.parse($(script).contents().text());
+      candidates.push(...(parsed["@graph"] || [].concat(parsed)));
+    } catch {
+      // Malformed blocks are ignored; the DOM fallbacks still apply
+    }
+  });
+
+  return candidates.find((item) =>
+    []
+      .concat(item["@type"])
+      .some((type) => /Restaurant|LocalBusiness/.test(type))
+  );
+}
+
+function toDayKey(dayOfWeek) {
+  const name = String(dayOfWeek).split("/").pop().toLowerCase();
+  return DAY_KEYS[name];
+}
+
+// schema.org openingHoursSpecification -> lib/hours.js schedule, or null
+function parseOpeningHours(specs) {
+  const days = {};
+
+  for (const spec of [].concat(specs || [])) {
+    const range = {
+      open: String(spec.opens || "").slice(0, 5),
+      close: String(spec.closes || "").slice(0, 5),
+    };
+    for (const dayOfWeek of [].concat(spec.dayOfWeek || [])) {
+      const key = toDayKey(dayOfWeek);
+      if (key) days[key] = [range];
+    }
+  }
+
+  if (Object.keys(days).length === 0) return null;
+
+  const schedule = {
+    days: days,
+    closedDays: Object.values(DAY_KEYS).filter((key) => !days[key]),
+    exceptions: [],
+  };
+  return validateSchedule(schedule).length === 0 ? schedule : null;
+}
+
+function formatTime(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const suffix = hours >= 12 && hours < 24 ? "pm" : "am";
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, "0")}${suffix}`;
+}
+
+// "10:00am - 11:00pm" when every open day shares one range
+function describeHours(schedule) {
+  const ranges = Object.values(schedule.days).map((r) => JSON.stringify(r));
+  if (
+    new Set(ranges).size !== 1 ||
+    schedule.days[Object.keys(schedule.days)[0]].length !== 1
+  ) {
+    return null;
+  }
+
+  const [range] = Object.values(schedule.days)[0];
+  return `${formatTime(range.open)} - ${formatTime(range.close)}`;
+}
+
+// A discovered location from a restaurant page, or null if the page has no
+// usable address
+function parseCulversLocationHtml(html, slug) {
+  const $ = cheerio.load(html);
+  const data = findRestaurantJsonLd($) || {};
+  const address = data.address || {};
+
+  const street = cleanText(
+    address.streetAddress || $("address .street").text()
+  );
+  const city = cleanText(address.addressLocality || $("address .city").text());
+  const region = cleanText(address.addressRegion || $("address .state").text());
+  if (!street || !city) return null;
+
+  const geo = data.geo || {};
+  const latitude = parseFloat(
+    geo.latitude ??
+      $('meta[property="place:location:latitude"]').attr("content")
+  );
+  const longitude = parseFloat(
+    geo.longitude ??
+      $('meta[property="place:location:longitude"]').attr("content")
+  );
+  const phone = cleanText(
+    data.telephone || $('a[href^="tel:"]').first().attr("href")
+  ).replace(/^tel:/, "");
+  const schedule = parseOpeningHours(data.openingHoursSpecification);
+
+  const location = {
+    slug: slug,
+    // "6011 W Layton Ave" -> "West Allis - W Layton Ave"
+    location: `${city} - ${street.replace(/^\d+[a-z]?\s+/i, "")}`,
+    address: [street, city, region].filter(Boolean).join(", "),
+    phone: phone || null,
+    latitude: Number.isFinite(latitude) ? latitude : null,
+    longitude: Number.isFinite(longitude) ? longitude : null,
+    website: `https://www.culvers.com/restaurants/${slug}`,
+  };
+  if (schedule) {
+    location.schedule = schedule;
+    location.hours = describeHours(schedule) || "See website";
+  }
+  return location;
+}
+
+// Locations within `radiusMiles` of `center`, nearest first. Locations
+// without coordinates are left out.
+function filterByRadius(locations, center, radiusMiles) {
+  return locations
+    .filter(hasCoordinates)
+    .map((location) => ({
+      location,
+      distance: distanceMiles(
+        center.lat,
+        center.lng,
+        location.latitude,
+        location.longitude
+      ),
+    }))
+    .filter(({ distance }) => distance <= radiusMiles)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ location }) => location);
+}
+
+// ============================================
+// CACHE AND REGISTRY
+// ============================================
+
+async function loadCulversLocations() {
+  try {
+    return JSON.parse(await fs.readFile(getCachePath(), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+function isSameArea(cache) {
+  return (
+    cache.radiusMiles === CONFIG.CULVERS_RADIUS_MILES &&
+    JSON.stringify(cache.center) === JSON.stringify(CONFIG.CULVERS_CENTER)
+  );
+}
+
+// Replaces the cache with `locations`. Throws, leaving the cache as it was,
+// when they are empty or far fewer than before.
+async function saveCulversLocations(locations, now = new Date()) {
+  if (locations.length === 0) {
+    throw new Error("Discovery found no Culver's locations");
+  }
+
+  const previous = await loadCulversLocations();
+  if (
+    previous &&
+    isSameArea(previous) &&
+    locations.length < previous.locations.length * MIN_KEPT_RATIO
+  ) {
+    throw new Error(
+      `Discovery found only ${locations.length} of ${previous.locations.length} cached Culver's locations`
+    );
+  }
+
+  const cache = {
+    discoveredAt: now.toISOString(),
+    center: CONFIG.CULVERS_CENTER,
+    radiusMiles: CONFIG.CULVERS_RADIUS_MILES,
+    locations: locations,
+  };
+
+  await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+  await writeFileAtomic(getCachePath(), JSON.stringify(cache, null, 2));
+  return cache;
+}
+
+// True when there is no cache, it has expired, or the area has changed
+function needsDiscovery(cache, now = new Date()) {
+  return (
+    !cache ||
+    now.getTime() - Date.parse(cache.discoveredAt) >=
+      CONFIG.CULVERS_DISCOVERY_INTERVAL ||
+    !isSameArea(cache)
+  );
+}
+
+// Adds discovered locations to the stand registry as "culvers" entries.
+// Registry entries for the same slug keep their settings (enabled, schedule,
+// name) but take the discovered address, phone and coordinates.
+function mergeCulversLocations(registry, locations) {
+  const bySlug = new Map(locations.map((l) => [l.slug, l]));
+  const merged = registry.map((entry) => {
+    const found = entry.strategy === "culvers" && bySlug.get(entry.slug);
+    if (!found) return entry;
+
+    bySlug.delete(entry.slug);
+    return {
+      ...entry,
+      address: found.address,
+      phone: found.phone || entry.phone,
+      latitude: found.latitude,
+      longitude: found.longitude,
+    };
+  });
+
+  for (const location of bySlug.values()) {
+    const { slug, ...metadata } = location;
+    merged.push({
+      id: `culvers-${slug}`,
+      strategy: "culvers",
+      enabled: true,
+      slug: slug,
+      name: "Culver's",
+      ...metadata,
+    });
+  }
+
+  return merged;
+}
+
+module.exports = {
+  parseCulversDirectoryHtml,
+  parseCulversLocationHtml,
+  filterByRadius,
+  loadCulversLocations,
+  saveCulversLocations,
+  needsDiscovery,
+  mergeCulversLocations,
+};
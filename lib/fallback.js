@@ -0,0 +1,99 @@
+// ============================================
+// LAST-KNOWN-GOOD FALLBACK
+// ============================================
+// When a stand's scrape fails or comes back empty, keep serving the flavors
+// from the previous dataset for dates that haven't passed yet, flagged
+// `stale: true`. Placeholders ("Check website") are only used when nothing
+// usable is left, and are marked `placeholder: true` on the day entry so they
+// are never carried forward as real data. Neither are manual overrides
+// (source: "manual"), which are merged in afresh on every scrape.
+
+const { deriveDayLabel } = require("./dates");
+
+// Labels that say what kind of day it is rather than when it is
+const FIXED_LABELS = ["always", "closed"];
+
+function hasRealFlavors(days) {
+  return (days || []).some(
+    (day) => !day.placeholder && day.flavors && day.flavors.length > 0
+  );
+}
+
+// The previous stand's days from `today` on, relabelled for `today`: a day
+// saved yesterday as "tomorrow" is "today" now
+function getUpcomingDays(stand, today) {
+  if (!stand) return [];
+
+  return stand.flavors
+    .filter(
+      (day) =>
+        !day.placeholder &&
+        day.source !== "manual" &&
+        day.date >= today &&
+        day.flavors &&
+        day.flavors.length > 0
+    )
+    .map((day) =>
+      FIXED_LABELS.includes(day.dayLabel)
+        ? day
+        : { ...day, dayLabel: deriveDayLabel(day.date, today) }
+    );
+}
+
+// Stands saved before this fallback existed carry no lastSuccessfulScrape;
+// their data is as fresh as the dataset they were saved in.
+function getLastSuccess(previousStand, previousData) {
+  if (!previousStand) return null;
+  if (previousStand.lastSuccessfulScrape !== undefined) {
+    return previousStand.lastSuccessfulScrape;
+  }
+  return previousData && hasRealFlavors(previousStand.flavors)
+    ? previousData.timestamp
+    : null;
+}
+
+// Returns `stand` with either its fresh flavors, the previous stand's upcoming
+// flavors (stale), or a placeholder day, plus stale/lastSuccessfulScrape.
+function applyLastKnownGood(stand, previousData, options) {
+  const { today, timestamp, placeholder } = options;
+  const previousStand = previousData
+    ? (previousData.stands || []).find((s) => s.id === stand.id)
+    : null;
+
+  if (hasRealFlavors(stand.flavors)) {
+    return { ...stand, stale: false, lastSuccessfulScrape: timestamp };
+  }
+
+  const lastSuccess = getLastSuccess(previousStand, previousData);
+  const upcoming = getUpcomingDays(previousStand, today);
+
+  if (upcoming.length > 0) {
+    return {
+      ...stand,
+      status: previousStand.status,
+      hours: previousStand.hours,
+      flavors: upcoming,
+      stale: true,
+      lastSuccessfulScrape: lastSuccess,
+    };
+  }
+
+  return {
+    ...stand,
+    flavors: [
+      {
+        date: today,
+        dayLabel: "today",
+        placeholder: true,
+        flavors: [placeholder],
+      },
+    ],
+    stale: false,
+    lastSuccessfulScrape: lastSuccess,
+  };
+}
+
+module.exports = {
+  hasRealFlavors,
+  applyLastKnownGood,
+};
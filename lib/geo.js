@@ -0,0 +1,91 @@
+// ============================================
+// LOCATION HELPERS
+// ============================================
+// Distance math and GeoJSON output for stands. Coordinates come from the
+// `latitude`/`longitude` fields in the stand registry, so no geocoding service
+// is involved.
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+function hasCoordinates(stand) {
+  return Number.isFinite(stand.latitude) && Number.isFinite(stand.longitude);
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance in miles (haversine)
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+// Real (non-placeholder) flavors a stand lists for `today`
+function getTodaysFlavors(stand, today) {
+  return (stand.flavors || [])
+    .filter(
+      (day) =>
+        !day.placeholder && (day.date === today || day.dayLabel === "always")
+    )
+    .flatMap((day) => day.flavors);
+}
+
+// Stands within `radiusMiles` of a point, nearest first, each with
+// distanceMiles added. Stands without coordinates are left out.
+function findNearby(stands, { lat, lng, radiusMiles }) {
+  return stands
+    .filter(hasCoordinates)
+    .map((stand) => ({
+      ...stand,
+      distanceMiles:
+        Math.round(
+          distanceMiles(lat, lng, stand.latitude, stand.longitude) * 100
+        ) / 100,
+    }))
+    .filter((stand) => stand.distanceMiles <= radiusMiles)
+    .sort((a, b) => a.distanceMiles - b.distanceMiles);
+}
+
+function toGeoJSON(stands, today) {
+  return {
+    type: "FeatureCollection",
+    features: stands.filter(hasCoordinates).map((stand) => ({
+      type: "Feature",
+      id: stand.id,
+      geometry: {
+        type: "Point",
+        coordinates: [stand.longitude, stand.latitude],
+      },
+      properties: {
+        id: stand.id,
+        name: stand.name,
+        location: stand.location,
+        address: stand.address,
+        phone: stand.phone,
+        website: stand.website,
+        hours: stand.hours,
+        status: stand.status,
+        opensAt: stand.opensAt || null,
+        closesAt: stand.closesAt || null,
+        stale: Boolean(stand.stale),
+        todaysFlavors: getTodaysFlavors(stand, today),
+      },
+    })),
+  };
+}
+
+module.exports = {
+  hasCoordinates,
+  distanceMiles,
+  getTodaysFlavors,
+  findNearby,
+  toGeoJSON,
+};
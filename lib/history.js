@@ -0,0 +1,156 @@
+// ============================================
+// FLAVOR HISTORY ARCHIVE
+// ============================================
+// Every saved scrape is compacted into data/history/YYYY-MM-DD.json, holding
+// only what each stand served on that day. A later scrape on the same day
+// replaces that day's archive. Archives older than
+// CONFIG.HISTORY_RETENTION_DAYS are pruned after each write.
+
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("./config");
+const logger = require("./logger");
+const { addDays } = require("./dates");
+
+const ARCHIVE_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+function getHistoryDir() {
+  return path.join(CONFIG.DATA_DIR, "history");
+}
+
+// Flavors a stand served on `date`, flattened to { name, description }.
+// Handles both the nested Kopp's shape and the flat Murf's/Culver's shape.
+function getServedFlavors(stand, date) {
+  const served = [];
+  const seen = new Set();
+
+  for (const entry of stand.flavors || []) {
+    if (entry.placeholder) continue;
+
+    const isThatDay =
+      entry.date === date ||
+      ["today", "always", "closed"].includes(entry.dayLabel);
+    if (!isThatDay) continue;
+
+    const items = Array.isArray(entry.flavors) ? entry.flavors : [entry];
+    for (const item of items) {
+      if (!item.name || seen.has(item.name)) continue;
+      seen.add(item.name);
+      served.push({
+        name: item.name,
+        description: item.description || "",
+      });
+    }
+  }
+
+  return served;
+}
+
+function compactSnapshot(data, date) {
+  return {
+    date: date,
+    archivedAt: data.timestamp,
+    stands: data.stands.map((stand) => ({
+      id: stand.id,
+      name: stand.name,
+      location: stand.location,
+      status: stand.status,
+      flavors: getServedFlavors(stand, date),
+    })),
+  };
+}
+
+async function listArchiveDates() {
+  try {
+    const files = await fs.readdir(getHistoryDir());
+    return files
+      .map((file) => file.match(ARCHIVE_FILE))
+      .filter(Boolean)
+      .map((match) => match[1])
+      .sort();
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function loadArchive(date) {
+  try {
+    const filePath = path.join(getHistoryDir(), `${date}.json`);
+    const data = await fs.readFile(filePath, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function pruneHistory(today) {
+  const cutoff = addDays(today, -CONFIG.HISTORY_RETENTION_DAYS);
+  const dates = await listArchiveDates();
+  const expired = dates.filter((date) => date < cutoff);
+
+  for (const date of expired) {
+    await fs.unlink(path.join(getHistoryDir(), `${date}.json`));
+  }
+
+  if (expired.length > 0) {
+    logger.info(
+      `Pruned ${expired.length} history archives older than ${cutoff}`
+    );
+  }
+
+  return expired.length;
+}
+
+async function archiveFlavorData(data, date) {
+  const historyDir = getHistoryDir();
+  await fs.mkdir(historyDir, { recursive: true });
+
+  const filePath = path.join(historyDir, `${date}.json`);
+  await fs.writeFile(
+    filePath,
+    JSON.stringify(compactSnapshot(data, date), null, 2)
+  );
+  logger.info(`Flavor history archived to ${filePath}`);
+
+  await pruneHistory(date);
+}
+
+async function getLocationHistory(locationId, { from, to, flavor } = {}) {
+  const dates = (await listArchiveDates()).filter(
+    (date) => date >= from && date <= to
+  );
+  const query = flavor ? flavor.toLowerCase() : null;
+  const days = [];
+
+  for (const date of dates) {
+    const archive = await loadArchive(date);
+    const stand = archive && archive.stands.find((s) => s.id === locationId);
+    if (!stand) continue;
+
+    if (
+      query &&
+      !stand.flavors.some((f) => f.name.toLowerCase().includes(query))
+    ) {
+      continue;
+    }
+
+    days.push({
+      date: date,
+      status: stand.status,
+      flavors: stand.flavors,
+    });
+  }
+
+  return days;
+}
+
+module.exports = {
+  getServedFlavors,
+  listArchiveDates,
+  loadArchive,
+  pruneHistory,
+  archiveFlavorData,
+  getLocationHistory,
+};
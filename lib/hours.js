@@ -0,0 +1,217 @@
+// ============================================
+// OPERATING HOURS
+// ============================================
+// Structured weekly hours for a stand, stored as `schedule` in the stand
+// registry:
+//
+//   "schedule": {
+//     "default": [{ "open": "10:30", "close": "21:00" }],
+//     "days": { "fri": [{ "open": "10:30", "close": "22:00" }] },
+//     "closedDays": ["mon"],
+//     "exceptions": [
+//       { "date": "2026-12-24", "hours": [{ "open": "10:30", "close": "16:00" }], "note": "Christmas Eve" },
+//       { "date": "2026-12-25", "closed": true, "note": "Christmas Day" }
+//     ]
+//   }
+//
+// Times are 24-hour "HH:MM" in CONFIG.TIMEZONE. A close time at or before the
+// open time runs past midnight. Exceptions win over closedDays, which win over
+// days, which win over default.
+
+const { addDays } = require("./dates");
+
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const LOOKAHEAD_DAYS = 14;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Wall-clock date and minutes-since-midnight of `instant` in `timeZone`
+function getZonedParts(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(instant)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+  };
+}
+
+// Offset of `timeZone` from UTC at `instant`, in minutes (Chicago: -360/-300)
+function getOffsetMinutes(instant, timeZone) {
+  const { date, minutes } = getZonedParts(instant, timeZone);
+  const wallClockAsUtc = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  const truncated = Math.floor(instant.getTime() / 60000) * 60000;
+  return Math.round((wallClockAsUtc - truncated) / 60000);
+}
+
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(abs / 60)).padStart(2, "0");
+  const minutes = String(abs % 60).padStart(2, "0");
+  return `${sign}${hours}:${minutes}`;
+}
+
+// ISO timestamp with offset for a wall-clock time in `timeZone`, e.g.
+// "2026-01-07T10:30:00-06:00". Minutes past 24:00 roll into the next day.
+function toZonedIso(isoDate, minutes, timeZone) {
+  const date = addDays(isoDate, Math.floor(minutes / 1440));
+  const dayMinutes = minutes % 1440;
+  const wallClockAsUtc = Date.parse(`${date}T00:00:00Z`) + dayMinutes * 60000;
+
+  // Resolve the offset twice so times next to a DST switch land correctly
+  let offset = getOffsetMinutes(new Date(wallClockAsUtc), timeZone);
+  offset = getOffsetMinutes(
+    new Date(wallClockAsUtc - offset * 60000),
+    timeZone
+  );
+
+  const hours = String(Math.floor(dayMinutes / 60)).padStart(2, "0");
+  const mins = String(dayMinutes % 60).padStart(2, "0");
+  return `${date}T${hours}:${mins}:00${formatOffset(offset)}`;
+}
+
+// Opening ranges for one calendar date, as minutes from that date's midnight
+function getRangesForDate(schedule, isoDate) {
+  const exception = (schedule.exceptions || []).find((e) => e.date === isoDate);
+  if (exception) {
+    return exception.closed ? [] : toRanges(exception.hours);
+  }
+
+  const dayKey = DAY_KEYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()];
+  if ((schedule.closedDays || []).includes(dayKey)) return [];
+
+  const days = schedule.days || {};
+  return toRanges(days[dayKey] || schedule.default);
+}
+
+function toRanges(hours) {
+  return (hours || []).map((range) => {
+    const open = toMinutes(range.open);
+    let close = toMinutes(range.close);
+    if (close <= open) close += 1440;
+    return { open, close };
+  });
+}
+
+// Computes { status, opensAt, closesAt } for `now`. While open, opensAt and
+// closesAt bound the current range; while closed they bound the next one
+// (both null if nothing opens within two weeks).
+function computeOpenStatus(schedule, now, timeZone) {
+  const { date: today, minutes } = getZonedParts(now, timeZone);
+
+  // Yesterday's late ranges may still be running past midnight
+  for (const offset of [-1, 0]) {
+    const date = addDays(today, offset);
+    const current = minutes - offset * 1440;
+
+    for (const range of getRangesForDate(schedule, date)) {
+      if (current >= range.open && current < range.close) {
+        return {
+          status: "open",
+          opensAt: toZonedIso(date, range.open, timeZone),
+          closesAt: toZonedIso(date, range.close, timeZone),
+        };
+      }
+    }
+  }
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(today, offset);
+    const next = getRangesForDate(schedule, date)
+      .filter((range) => offset > 0 || range.open > minutes)
+      .sort((a, b) => a.open - b.open)[0];
+
+    if (next) {
+      return {
+        status: "closed",
+        opensAt: toZonedIso(date, next.open, timeZone),
+        closesAt: toZonedIso(date, next.close, timeZone),
+      };
+    }
+  }
+
+  return { status: "closed", opensAt: null, closesAt: null };
+}
+
+// The latest opening or closing at or before `now`, as an ISO timestamp with
+// offset, looking back two weeks; null if there was none. computeOpenStatus
+// gives the same result from then until `now`.
+function lastTransition(schedule, now, timeZone) {
+  const { date: today, minutes } = getZonedParts(now, timeZone);
+  let latest = null;
+
+  for (let offset = -LOOKAHEAD_DAYS; offset <= 0; offset++) {
+    const date = addDays(today, offset);
+    const current = minutes - offset * 1440;
+
+    for (const range of getRangesForDate(schedule, date)) {
+      for (const time of [range.open, range.close]) {
+        const sinceToday = time + offset * 1440;
+        if (time <= current && (!latest || sinceToday > latest.sinceToday)) {
+          latest = { date, time, sinceToday };
+        }
+      }
+    }
+  }
+
+  return latest ? toZonedIso(latest.date, latest.time, timeZone) : null;
+}
+
+function validateRanges(hours, label) {
+  if (!Array.isArray(hours)) return [`${label} must be an array of ranges`];
+
+  return hours
+    .filter((range) => !TIME.test(range.open) || !TIME.test(range.close))
+    .map(() => `${label} has a range without valid HH:MM open/close`);
+}
+
+function validateSchedule(schedule) {
+  const errors = [];
+
+  if (schedule.default !== undefined) {
+    errors.push(...validateRanges(schedule.default, "schedule.default"));
+  }
+  for (const [day, hours] of Object.entries(schedule.days || {})) {
+    if (!DAY_KEYS.includes(day)) errors.push(`unknown day "${day}"`);
+    errors.push(...validateRanges(hours, `schedule.days.${day}`));
+  }
+  for (const day of schedule.closedDays || []) {
+    if (!DAY_KEYS.includes(day)) errors.push(`unknown closed day "${day}"`);
+  }
+  for (const exception of schedule.exceptions || []) {
+    if (!ISO_DATE.test(exception.date)) {
+      errors.push(`exception date "${exception.date}" is not an ISO date`);
+    } else if (!exception.closed) {
+      errors.push(
+        ...validateRanges(exception.hours, `exception ${exception.date}`)
+      );
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getZonedParts,
+  computeOpenStatus,
+  lastTransition,
+  validateSchedule,
+};
@@ -0,0 +1,103 @@
+// ============================================
+// HTTP CACHING AND COMPRESSION
+// ============================================
+// sendCacheable sends a JSON body with validators so clients can revalidate
+// instead of re-downloading the dataset:
+//
+//   ETag           strong hash of the exact body sent, per content coding
+//   Last-Modified  when the body last changed, passed in as `lastModified`
+//   Cache-Control  public, max-age=CONFIG.CACHE_MAX_AGE
+//
+// Matching If-None-Match / If-Modified-Since requests get 304 Not Modified.
+// The ETag covers the rendered body rather than just the dataset, because
+// responses may include live open/closed status. For those, `lastModified`
+// must be the later of the scrape time and the latest opening or closing,
+// since a stand opening or closing changes the body but not the scrape time.
+// Bodies are brotli or gzip compressed when the client accepts it and
+// CONFIG.COMPRESSION is on; compressed bodies are cached by ETag.
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+const CONFIG = require("./config");
+
+const MIN_COMPRESS_BYTES = 1024;
+const MAX_CACHED_BODIES = 50;
+
+const compressedBodies = new Map();
+
+function computeEtag(body, encoding) {
+  const hash = crypto.createHash("sha1").update(body).digest("base64url");
+  return encoding ? `"${hash}-${encoding}"` : `"${hash}"`;
+}
+
+// Picks "br" or "gzip" from an Accept-Encoding header, or null. Encodings
+// with q=0 are refused.
+function negotiateEncoding(header) {
+  const accepted = new Map();
+  for (const part of String(header || "").split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    const q = params.map((p) => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+    accepted.set(name, q ? parseFloat(q[1]) : 1);
+  }
+
+  return (
+    ["br", "gzip"].find(
+      (encoding) => (accepted.get(encoding) ?? accepted.get("*") ?? 0) > 0
+    ) || null
+  );
+}
+
+function compress(body, encoding, etag) {
+  if (compressedBodies.has(etag)) return compressedBodies.get(etag);
+
+  const compressed =
+    encoding === "br"
+      ? zlib.brotliCompressSync(body, {
+          params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+        })
+      : zlib.gzipSync(body);
+
+  if (compressedBodies.size >= MAX_CACHED_BODIES) {
+    compressedBodies.delete(compressedBodies.keys().next().value);
+  }
+  compressedBodies.set(etag, compressed);
+  return compressed;
+}
+
+// `lastModified` is a Date or ISO timestamp for when the body last changed;
+// leave it out if that isn't known.
+function sendCacheable(req, res, body, { lastModified } = {}) {
+  const json = JSON.stringify(body);
+  const encoding =
+    CONFIG.COMPRESSION && Buffer.byteLength(json) >= MIN_COMPRESS_BYTES
+      ? negotiateEncoding(req.get("accept-encoding"))
+      : null;
+  const etag = computeEtag(json, encoding);
+
+  res.set({
+    "Cache-Control": `public, max-age=${CONFIG.CACHE_MAX_AGE}`,
+    ETag: etag,
+    Vary: "Accept-Encoding",
+  });
+  if (lastModified) {
+    res.set("Last-Modified", new Date(lastModified).toUTCString());
+  }
+  res.type("application/json");
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  if (!encoding) {
+    return res.send(json);
+  }
+
+  res.set("Content-Encoding", encoding);
+  res.send(compress(json, encoding, etag));
+}
+
+module.exports = {
+  computeEtag,
+  negotiateEncoding,
+  sendCacheable,
+};
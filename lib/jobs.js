@@ -0,0 +1,268 @@
+// ============================================
+// SCRAPE JOBS AND GLOBAL LOCK
+// ============================================
+// Scrapes run as background jobs. Job state is written to DATA_DIR/jobs so any
+// replica sharing the volume can report progress, and DATA_DIR/scrape.lock
+// guarantees only one scrape runs at a time across all of them.
+//
+// The lock carries an expiry that the running job keeps pushing forward. A
+// lock whose holder crashed simply expires after CONFIG.SCRAPE_LOCK_TTL and
+// can then be taken over. So that no reader ever sees a partial lock:
+//
+//   - a new lock is written to a temp file and hard-linked into place, which
+//     fails if a lock already exists
+//   - heartbeats replace the lock with writeFileAtomic
+//   - a takeover renames the expired lock aside, which only one contender can
+//     do, and puts it back if it turns out to have been refreshed meanwhile
+//
+// A lock that still can't be parsed counts as held until its file is
+// SCRAPE_LOCK_TTL old.
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const CONFIG = require("./config");
+const logger = require("./logger");
+const { writeFileAtomic } = require("./backups");
+
+const JOB_ID = /^[0-9a-f-]{36}$/;
+
+function getLockPath() {
+  return path.join(CONFIG.DATA_DIR, "scrape.lock");
+}
+
+function getJobsDir() {
+  return path.join(CONFIG.DATA_DIR, "jobs");
+}
+
+// ============================================
+// LOCK
+// ============================================
+
+async function readLock(lockPath = getLockPath()) {
+  try {
+    return JSON.parse(await fs.readFile(lockPath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    if (!(error instanceof SyntaxError)) throw error;
+
+    try {
+      const { mtimeMs } = await fs.stat(lockPath);
+      return { jobId: null, expiresAt: mtimeMs + CONFIG.SCRAPE_LOCK_TTL };
+    } catch (statError) {
+      if (statError.code === "ENOENT") return null;
+      throw statError;
+    }
+  }
+}
+
+function isSameLock(a, b) {
+  return Boolean(a && b) && a.jobId === b.jobId && a.expiresAt === b.expiresAt;
+}
+
+function buildLock(jobId) {
+  const now = Date.now();
+  return {
+    jobId: jobId,
+    host: os.hostname(),
+    pid: process.pid,
+    acquiredAt: new Date(now).toISOString(),
+    expiresAt: now + CONFIG.SCRAPE_LOCK_TTL,
+  };
+}
+
+function uniquePath(suffix) {
+  return `${getLockPath()}.${crypto.randomBytes(4).toString("hex")}.${suffix}`;
+}
+
+// Links a fully written lock into place. Fails with EEXIST if a lock exists.
+async function createLockFile(lock) {
+  const tempPath = uniquePath("tmp");
+  await writeFileAtomic(tempPath, JSON.stringify(lock));
+
+  try {
+    await fs.link(tempPath, getLockPath());
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+}
+
+// Removes `expired` if it is still the current lock. Of several processes
+// taking over at once, only one gets to rename it.
+async function removeExpiredLock(expired) {
+  const stalePath = uniquePath("stale");
+
+  try {
+    await fs.rename(getLockPath(), stalePath);
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    throw error;
+  }
+
+  try {
+    const moved = await readLock(stalePath);
+    if (!isSameLock(moved, expired)) {
+      // The lock was refreshed or replaced after we read it; restore it
+      await fs.link(stalePath, getLockPath()).catch((error) => {
+        if (error.code !== "EEXIST") throw error;
+      });
+      return;
+    }
+    logger.warn(
+      `Removed expired scrape lock held by job ${expired.jobId || "unknown"}`
+    );
+  } finally {
+    await fs.rm(stalePath, { force: true });
+  }
+}
+
+// Resolves to { acquired: true } or { acquired: false, holder } where holder
+// is the current lock's contents.
+async function acquireScrapeLock(jobId) {
+  await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      await createLockFile(buildLock(jobId));
+      return { acquired: true };
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    const holder = await readLock();
+    if (holder && holder.expiresAt > Date.now()) {
+      return { acquired: false, holder: holder };
+    }
+    if (holder) await removeExpiredLock(holder);
+  }
+
+  return { acquired: false, holder: await readLock() };
+}
+
+async function releaseScrapeLock(jobId) {
+  const holder = await readLock();
+  if (holder && holder.jobId === jobId) {
+    await fs.rm(getLockPath(), { force: true });
+  }
+}
+
+// Extends the lock's expiry while the job is alive. Returns a stop function.
+function startLockHeartbeat(jobId) {
+  const timer = setInterval(async () => {
+    try {
+      const holder = await readLock();
+      if (holder && holder.jobId === jobId) {
+        await writeFileAtomic(
+          getLockPath(),
+          JSON.stringify({
+            ...holder,
+            expiresAt: Date.now() + CONFIG.SCRAPE_LOCK_TTL,
+          })
+        );
+      }
+    } catch (error) {
+      logger.error("Failed to refresh scrape lock:", error.message);
+    }
+  }, CONFIG.SCRAPE_LOCK_TTL / 3);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// ============================================
+// JOB STATE
+// ============================================
+
+// `target` is null for a full scrape, or { scrapers, standIds } for a
+// targeted one
+function createJob(trigger, target = null) {
+  return {
+    id: crypto.randomUUID(),
+    trigger: trigger,
+    target: target,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    scrapers: [],
+    result: null,
+    error: null,
+  };
+}
+
+async function pruneJobs() {
+  const files = (await fs.readdir(getJobsDir())).filter((f) =>
+    f.endsWith(".json")
+  );
+  if (files.length <= CONFIG.JOB_HISTORY_LIMIT) return;
+
+  const stats = await Promise.all(
+    files.map(async (file) => ({
+      file,
+      mtime: (await fs.stat(path.join(getJobsDir(), file))).mtimeMs,
+    }))
+  );
+  const expired = stats
+    .sort((a, b) => b.mtime - a.mtime)
+    .slice(CONFIG.JOB_HISTORY_LIMIT);
+
+  for (const { file } of expired) {
+    await fs.rm(path.join(getJobsDir(), file), { force: true });
+  }
+}
+
+// Scrapers finish concurrently, so saves of one job can overlap; each one
+// replaces the file whole
+async function saveJob(job) {
+  await fs.mkdir(getJobsDir(), { recursive: true });
+  await writeFileAtomic(
+    path.join(getJobsDir(), `${job.id}.json`),
+    JSON.stringify(job, null, 2)
+  );
+}
+
+async function loadJob(id) {
+  if (!JOB_ID.test(id)) return null;
+
+  try {
+    return JSON.parse(
+      await fs.readFile(path.join(getJobsDir(), `${id}.json`), "utf8")
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function listJobs() {
+  let files;
+  try {
+    files = await fs.readdir(getJobsDir());
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const jobs = await Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => loadJob(file.replace(/\.json$/, "")))
+  );
+
+  return jobs
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  readLock,
+  acquireScrapeLock,
+  releaseScrapeLock,
+  startLockHeartbeat,
+  createJob,
+  saveJob,
+  loadJob,
+  listJobs,
+  pruneJobs,
+};
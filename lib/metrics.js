@@ -0,0 +1,193 @@
+// ============================================
+// PROMETHEUS METRICS
+// ============================================
+// A minimal in-process metrics registry rendered in the Prometheus text
+// exposition format at GET /metrics. Values live in memory, so they reset on
+// restart and each replica reports its own.
+
+const SCRAPE_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600];
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) => `${key}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// Series are keyed by their label set, so label order must be consistent
+function seriesKey(labels) {
+  return JSON.stringify(labels);
+}
+
+function createMetric(type, name, help, extra = {}) {
+  const metric = { type, name, help, series: new Map(), ...extra };
+  registry.push(metric);
+  return metric;
+}
+
+function createCounter(name, help) {
+  const metric = createMetric("counter", name, help);
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labels);
+      const current = metric.series.get(key) || { labels, value: 0 };
+      current.value += amount;
+      metric.series.set(key, current);
+    },
+  };
+}
+
+function createGauge(name, help) {
+  const metric = createMetric("gauge", name, help);
+  return {
+    set(labels, value) {
+      metric.series.set(seriesKey(labels), { labels, value });
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const metric = createMetric("histogram", name, help, { buckets });
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      let current = metric.series.get(key);
+      if (!current) {
+        current = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        metric.series.set(key, current);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) current.counts[i]++;
+      });
+      current.sum += value;
+      current.count++;
+    },
+  };
+}
+
+function renderMetric(metric) {
+  const lines = [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+  ];
+
+  for (const series of metric.series.values()) {
+    if (metric.type !== "histogram") {
+      lines.push(
+        `${metric.name}${formatLabels(series.labels)} ${series.value}`
+      );
+      continue;
+    }
+
+    metric.buckets.forEach((bound, i) => {
+      lines.push(
+        `${metric.name}_bucket${formatLabels({
+          ...series.labels,
+          le: bound,
+        })} ${series.counts[i]}`
+      );
+    });
+    lines.push(
+      `${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${
+        series.count
+      }`,
+      `${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+      `${metric.name}_count${formatLabels(series.labels)} ${series.count}`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+function renderMetrics() {
+  return registry.map(renderMetric).join("\n") + "\n";
+}
+
+function resetMetrics() {
+  for (const metric of registry) metric.series.clear();
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+const scrapeDuration = createHistogram(
+  "custard_scrape_duration_seconds",
+  "Time spent running each scraper",
+  SCRAPE_BUCKETS
+);
+const scrapeRuns = createCounter(
+  "custard_scrape_runs_total",
+  'Scraper runs by outcome ("success", "partial", "empty" or "failed")'
+);
+const flavorsFound = createGauge(
+  "custard_scrape_flavors_found",
+  "Flavors found by each scraper's most recent run"
+);
+const lastSuccess = createGauge(
+  "custard_scrape_last_success_timestamp_seconds",
+  "Unix time of each scraper's most recent run that found flavors"
+);
+const navigationRetries = createCounter(
+  "custard_navigation_retries_total",
+  "Page loads (HTTP or browser) retried by pageload.withRetries, by host"
+);
+const navigationFailures = createCounter(
+  "custard_navigation_failures_total",
+  "Page loads that failed after every retry, by host"
+);
+const httpDuration = createHistogram(
+  "http_request_duration_seconds",
+  "HTTP request latency by method, route and status",
+  HTTP_BUCKETS
+);
+
+// Records one scraper's run from the summary scrapeAllStands reports
+function recordScraperRun(scraper, { durationMs, outcome, flavorsFound: n }) {
+  scrapeDuration.observe({ scraper }, durationMs / 1000);
+  scrapeRuns.inc({ scraper, outcome });
+  flavorsFound.set({ scraper }, n);
+  if (n > 0) lastSuccess.set({ scraper }, Math.floor(Date.now() / 1000));
+}
+
+// Express middleware timing every request. Routes are labelled by their
+// pattern ("/api/flavors/:locationId") to keep the number of series bounded.
+function httpMetricsMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    httpDuration.observe(
+      {
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : "unmatched",
+        status: res.statusCode,
+      },
+      seconds
+    );
+  });
+
+  next();
+}
+
+module.exports = {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  resetMetrics,
+  recordScraperRun,
+  navigationRetries,
+  navigationFailures,
+  httpMetricsMiddleware,
+};
@@ -0,0 +1,266 @@
+// ============================================
+// MANUAL FLAVOR OVERRIDES
+// ============================================
+// Admins enter flavors by hand for stands that can't be scraped reliably:
+// Leon's weekend specials, or Gilles and Murf's when their sites leave us
+// with "Check website". An override covers one stand from `from` to `to`
+// (ISO dates, at most MAX_OVERRIDE_DAYS), records where the flavors came from
+// in `note`, and stops applying after `expiresAt` or once `to` has passed.
+//
+// scrapeAllStands merges active overrides into each stand day by day, as
+// entries marked source: "manual":
+//
+//   - a day with freshly scraped flavors is kept, unless the override is
+//     `forced`
+//   - placeholder days (Leon's weekend special, Gilles without a featured
+//     flavor) and stale (last known good) days are replaced
+//   - dates the stand has no entry for are added
+//   - "always" days are kept as they are and don't block their date
+//
+// Overrides live in DATA_DIR/overrides.json. Manual days are never carried
+// forward as last known good data (see lib/fallback.js). When overrides are
+// created or deleted between scrapes, reapplyOverrides swaps the manual days
+// in the served dataset for the current ones.
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("./config");
+const logger = require("./logger");
+const { writeFileAtomic } = require("./backups");
+const { addDays, daysBetween, deriveDayLabel, isIsoDate } = require("./dates");
+
+const MAX_OVERRIDE_DAYS = 31;
+const MAX_FLAVORS = 20;
+
+function getOverridesPath() {
+  return path.join(CONFIG.DATA_DIR, "overrides.json");
+}
+
+// ============================================
+// OVERRIDE STORE
+// ============================================
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function validateOverride(input, today) {
+  const errors = [];
+
+  if (!isNonEmptyString(input.locationId)) {
+    errors.push("locationId must be a stand id");
+  }
+
+  if (!isIsoDate(input.from) || !isIsoDate(input.to)) {
+    errors.push("from and to must be dates (YYYY-MM-DD)");
+  } else if (input.to < input.from) {
+    errors.push("to must not be before from");
+  } else if (input.to < today) {
+    errors.push("to has already passed");
+  } else if (daysBetween(input.from, input.to) >= MAX_OVERRIDE_DAYS) {
+    errors.push(`an override can cover at most ${MAX_OVERRIDE_DAYS} days`);
+  }
+
+  if (
+    !Array.isArray(input.flavors) ||
+    input.flavors.length === 0 ||
+    input.flavors.length > MAX_FLAVORS
+  ) {
+    errors.push(`flavors must list 1 to ${MAX_FLAVORS} flavors`);
+  } else if (
+    !input.flavors.every(
+      (flavor) =>
+        flavor &&
+        isNonEmptyString(flavor.name) &&
+        (flavor.description === undefined ||
+          typeof flavor.description === "string")
+    )
+  ) {
+    errors.push("each flavor needs a name and an optional description");
+  }
+
+  if (!isNonEmptyString(input.note)) {
+    errors.push("note must say where the flavors came from");
+  }
+
+  if (
+    input.expiresAt !== undefined &&
+    input.expiresAt !== null &&
+    Number.isNaN(Date.parse(input.expiresAt))
+  ) {
+    errors.push("expiresAt must be an ISO timestamp when provided");
+  }
+
+  if (input.forced !== undefined && typeof input.forced !== "boolean") {
+    errors.push("forced must be true or false");
+  }
+
+  return errors;
+}
+
+// True until `expiresAt`, and while `to` is today or later
+function isActive(override, today, now = new Date()) {
+  return (
+    override.to >= today &&
+    (!override.expiresAt || Date.parse(override.expiresAt) > now.getTime())
+  );
+}
+
+async function listOverrides() {
+  try {
+    return JSON.parse(await fs.readFile(getOverridesPath(), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function saveOverrides(overrides) {
+  await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+  await writeFileAtomic(getOverridesPath(), JSON.stringify(overrides, null, 2));
+}
+
+// Runs read-modify-write updates to overrides.json one at a time, so
+// concurrent admin requests don't overwrite each other's changes
+let updateQueue = Promise.resolve();
+
+function serialized(update) {
+  const result = updateQueue.then(update, update);
+  updateQueue = result.catch(() => {});
+  return result;
+}
+
+// Stores a validated override. Overrides that are no longer active are
+// dropped at the same time.
+async function createOverride(input, options) {
+  return serialized(() => addOverride(input, options));
+}
+
+async function addOverride(input, { today, createdBy = null }) {
+  const override = {
+    id: crypto.randomUUID(),
+    locationId: input.locationId,
+    from: input.from,
+    to: input.to,
+    flavors: input.flavors.map((flavor) => ({
+      name: flavor.name.trim(),
+      description: (flavor.description || "").trim(),
+    })),
+    note: input.note.trim(),
+    forced: input.forced === true,
+    expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy,
+  };
+
+  const overrides = (await listOverrides()).filter((o) => isActive(o, today));
+  overrides.push(override);
+  await saveOverrides(overrides);
+  logger.info(
+    `Override ${override.id} created for ${override.locationId} (${override.from} to ${override.to})`
+  );
+
+  return override;
+}
+
+async function deleteOverride(id) {
+  return serialized(() => removeOverride(id));
+}
+
+async function removeOverride(id) {
+  const overrides = await listOverrides();
+  const remaining = overrides.filter((o) => o.id !== id);
+  if (remaining.length === overrides.length) return false;
+
+  await saveOverrides(remaining);
+  logger.info(`Override ${id} deleted`);
+  return true;
+}
+
+// ============================================
+// MERGING
+// ============================================
+
+function isScrapedDay(stand, day) {
+  return (
+    !stand.stale &&
+    !day.placeholder &&
+    day.source !== "manual" &&
+    day.flavors &&
+    day.flavors.length > 0
+  );
+}
+
+function buildManualDay(override, date, today) {
+  return {
+    date: date,
+    dayLabel: deriveDayLabel(date, today),
+    source: "manual",
+    overrideId: override.id,
+    note: override.note,
+    flavors: override.flavors.map((flavor) => ({ ...flavor })),
+  };
+}
+
+// Returns `stand` with the days covered by its active `overrides` merged in.
+// Overrides are applied in creation order, so the newest wins a shared date.
+function applyOverrides(stand, overrides, { today, now = new Date() }) {
+  const active = overrides.filter(
+    (override) =>
+      override.locationId === stand.id && isActive(override, today, now)
+  );
+  if (active.length === 0) return stand;
+
+  const always = (stand.flavors || []).filter((d) => d.dayLabel === "always");
+  const days = new Map(
+    (stand.flavors || [])
+      .filter((day) => day.dayLabel !== "always")
+      .map((day) => [day.date, day])
+  );
+
+  for (const override of active) {
+    const start = override.from > today ? override.from : today;
+
+    for (let date = start; date <= override.to; date = addDays(date, 1)) {
+      const day = days.get(date);
+      if (day && isScrapedDay(stand, day) && !override.forced) continue;
+      days.set(date, buildManualDay(override, date, today));
+    }
+  }
+
+  return {
+    ...stand,
+    flavors: [...always, ...days.values()].sort((a, b) =>
+      a.date.localeCompare(b.date)
+    ),
+  };
+}
+
+// `stand` with its manual days dropped and the active `overrides` merged in
+// afresh. Days a deleted override had replaced come back at the next scrape.
+// Returns `stand` itself when there is nothing to change.
+function reapplyOverrides(stand, overrides, options) {
+  const days = stand.flavors || [];
+  const kept = days.filter((day) => day.source !== "manual");
+  const merged = applyOverrides(
+    { ...stand, flavors: kept },
+    overrides,
+    options
+  );
+
+  return kept.length === days.length && merged.flavors === kept
+    ? stand
+    : merged;
+}
+
+module.exports = {
+  MAX_OVERRIDE_DAYS,
+  validateOverride,
+  isActive,
+  listOverrides,
+  createOverride,
+  deleteOverride,
+  applyOverrides,
+  reapplyOverrides,
+};
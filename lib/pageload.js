@@ -0,0 +1,202 @@
+// ============================================
+// PAGE LOADING
+// ============================================
+// Each scraper strategy loads its pages in the mode listed in SCRAPER_MODES,
+// which scraper.js and scripts/capture-fixture.js both read:
+//
+//   http     a plain GET parsed with cheerio, for pages whose served HTML
+//            already carries the flavors
+//   browser  a Puppeteer page, for pages that render their flavors
+//            client-side. Images, fonts, media and analytics requests are
+//            aborted, since the scrapers only read the DOM.
+//
+// Both modes retry a failed load three times and count retries and failures
+// per host. Memory is sampled on an interval while a scraper runs, so scrape
+// results can compare what the two modes cost. Only browser scrapers sample
+// the browser, from /proc; where /proc is unavailable that figure is null.
+
+const fs = require("fs").promises;
+const CONFIG = require("./config");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+// null loads no pages (Leon's menu is built in code)
+const SCRAPER_MODES = {
+  kopps: "http",
+  murfs: "browser",
+  culvers: "http",
+  "leons-static": null,
+  gilles: "http",
+};
+
+const MAX_ATTEMPTS = 3;
+const USER_AGENT = "Mozilla/5.0 (compatible; Milwaukee-Custard-Tracker/1.0)";
+
+const BLOCKED_RESOURCE_TYPES = new Set(["image", "font", "media"]);
+const ANALYTICS_HOSTS = [
+  "google-analytics.com",
+  "googletagmanager.com",
+  "doubleclick.net",
+  "googlesyndication.com",
+  "facebook.net",
+  "hotjar.com",
+  "segment.io",
+  "segment.com",
+  "newrelic.com",
+  "nr-data.net",
+  "clarity.ms",
+  "bat.bing.com",
+  "analytics.tiktok.com",
+  "ct.pinterest.com",
+];
+
+// True for requests a browser scrape can skip: heavy assets and trackers
+function shouldBlockRequest(resourceType, url) {
+  if (BLOCKED_RESOURCE_TYPES.has(resourceType)) return true;
+
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return false;
+  }
+  return ANALYTICS_HOSTS.some(
+    (blocked) => host === blocked || host.endsWith(`.${blocked}`)
+  );
+}
+
+// Runs `load` up to MAX_ATTEMPTS times, backing off `retryDelay` ms more
+// after each failure
+async function withRetries(url, load, retryDelay = 2000) {
+  const host = new URL(url).host;
+  let lastError;
+
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    try {
+      return await load();
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Load attempt ${i + 1} failed for ${url}:`, error.message);
+      if (i < MAX_ATTEMPTS - 1) {
+        metrics.navigationRetries.inc({ host });
+        await new Promise((resolve) =>
+          setTimeout(resolve, retryDelay * (i + 1))
+        );
+      }
+    }
+  }
+
+  metrics.navigationFailures.inc({ host });
+  throw lastError;
+}
+
+// The HTML served at `url`, without running any of its scripts. `throttle`,
+// if given, is awaited with the url before every attempt.
+async function fetchHtml(url, { retryDelay, throttle } = {}) {
+  return withRetries(
+    url,
+    async () => {
+      if (throttle) await throttle(url);
+      const response = await fetch(url, {
+        headers: {
+          Accept: "text/html,application/xhtml+xml",
+          "User-Agent": USER_AGENT,
+        },
+        signal: AbortSignal.timeout(CONFIG.SCRAPE_TIMEOUT),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.text();
+    },
+    retryDelay
+  );
+}
+
+// ============================================
+// MEMORY SAMPLING
+// ============================================
+
+// Parent pid and resident bytes of each process, from /proc/<pid>/status.
+// VmRSS is reported in kB, so the system page size doesn't matter.
+async function readProcessTable() {
+  const table = new Map();
+
+  for (const name of await fs.readdir("/proc")) {
+    if (!/^\d+$/.test(name)) continue;
+    try {
+      const status = await fs.readFile(`/proc/${name}/status`, "utf8");
+      const ppid = /^PPid:\s+(\d+)/m.exec(status);
+      // Kernel threads have no VmRSS line
+      const rss = /^VmRSS:\s+(\d+) kB/m.exec(status);
+      table.set(Number(name), {
+        ppid: ppid ? Number(ppid[1]) : 0,
+        rssBytes: rss ? Number(rss[1]) * 1024 : 0,
+      });
+    } catch {
+      // The process exited while the table was being read
+    }
+  }
+
+  return table;
+}
+
+// Resident memory of `pid` and all of its descendants (Chromium runs its
+// renderers as child processes), or null if it cannot be read
+async function processTreeRssBytes(pid) {
+  let table;
+  try {
+    table = await readProcessTable();
+  } catch {
+    return null;
+  }
+  if (!table.has(pid)) return null;
+
+  let total = 0;
+  const pending = [pid];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    total += table.get(current).rssBytes;
+    for (const [child, info] of table) {
+      if (info.ppid === current) pending.push(child);
+    }
+  }
+  return total;
+}
+
+// Calls `measure()` now and every `intervalMs`, keeping the peak of each
+// field it returns (null values are skipped). `stop()` takes a last sample
+// and resolves to the peaks. Samples never overlap.
+function startMemorySampler(measure, intervalMs) {
+  const peaks = {};
+  let sampling = Promise.resolve();
+
+  function sample() {
+    sampling = sampling
+      .then(measure)
+      .then((values) => {
+        for (const [field, value] of Object.entries(values)) {
+          if (value !== null) peaks[field] = Math.max(peaks[field] || 0, value);
+        }
+      })
+      .catch((error) => logger.warn("Memory sample failed:", error.message));
+  }
+
+  sample();
+  const timer = setInterval(sample, intervalMs);
+  timer.unref();
+
+  return async function stop() {
+    clearInterval(timer);
+    sample();
+    await sampling;
+    return peaks;
+  };
+}
+
+module.exports = {
+  SCRAPER_MODES,
+  shouldBlockRequest,
+  withRetries,
+  fetchHtml,
+  processTreeRssBytes,
+  startMemorySampler,
+};
@@ -0,0 +1,373 @@
+// ============================================
+// PAGE PARSERS
+// ============================================
+// Pure HTML -> flavor parsers for each scraped site. They take the page HTML
+// and a reference ISO date for "today", and never touch the network, so they
+// can be exercised offline against the fixtures in test/fixtures. Day headers
+// are resolved with lib/dates.js; days whose labels disagree with their date
+// carry a `conflict` note. Leon's has no flavor page to parse, so its standing
+// menu lives here too.
+
+const cheerio = require("cheerio");
+const { resolveDayHeader } = require("./dates");
+
+const WEEKDAY_PATTERN =
+  /\b(today|tomorrow|mon|tue|wed|thu|fri|sat|sun)[a-z]*\b/i;
+const KOPPS_DAY_HEADER = /\b(today|tomorrow|\d{1,2}\/\d{1,2})\b/i;
+
+function cleanText(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// A Day for `resolved` (from resolveDayHeader) holding `flavors`
+function buildDay(resolved, flavors) {
+  const day = {
+    date: resolved.date,
+    dayLabel: resolved.dayLabel,
+    flavors: flavors,
+  };
+  if (resolved.conflict) day.conflict = resolved.conflict;
+  return day;
+}
+
+// ============================================
+// KOPP'S: h2 day headers, each followed by h3 flavor names and p descriptions
+// ============================================
+
+function parseKoppsHtml(html, today) {
+  const $ = cheerio.load(html);
+  const flavors = [];
+
+  $("h2").each((i, el) => {
+    const headerText = cleanText($(el).text());
+    const resolved =
+      KOPPS_DAY_HEADER.test(headerText) && resolveDayHeader(headerText, today);
+
+    if (resolved) {
+      let currentEl = $(el).next();
+      const dayFlavors = [];
+
+      while (currentEl.length && currentEl[0].tagName !== "h2") {
+        if (currentEl[0].tagName === "h3") {
+          const name = currentEl.text().trim();
+          const description = currentEl.next("p").text().trim();
+
+          if (name) {
+            dayFlavors.push({
+              name: name,
+              description: description || "No description available",
+            });
+          }
+        }
+        currentEl = currentEl.next();
+      }
+
+      flavors.push(buildDay(resolved, dayFlavors));
+    }
+  });
+
+  return flavors;
+}
+
+// ============================================
+// MURF'S: one card per day with a date heading, an image, the flavor name
+// and a "... frozen custard ..." description line
+// ============================================
+
+function parseMurfsHtml(html, today) {
+  const $ = cheerio.load(html);
+  const flavors = [];
+  const seenDates = new Set();
+
+  $("h1, h2, h3, h4").each((i, heading) => {
+    const text = cleanText($(heading).text());
+    if (text.length > 40 || !WEEKDAY_PATTERN.test(text)) return;
+
+    const resolved = resolveDayHeader(text, today);
+    if (!resolved || seenDates.has(resolved.date)) return;
+
+    const card = $(heading)
+      .parents()
+      .filter((j, el) => $(el).find("img").length > 0)
+      .first();
+    if (!card.length) return;
+
+    const lines = card
+      .find("h1, h2, h3, h4, h5, p, span, div")
+      .filter((j, el) => $(el).children().length === 0)
+      .map((j, el) => cleanText($(el).text()))
+      .get()
+      .filter((line) => line && line !== text);
+
+    const description =
+      lines.find(
+        (line) => line.includes("frozen custard") || line.includes("custard,")
+      ) || "";
+    const name = lines.find((line) => line !== description);
+
+    if (name) {
+      seenDates.add(resolved.date);
+      flavors.push(
+        buildDay(resolved, [{ name: name, description: description }])
+      );
+    }
+  });
+
+  return flavors;
+}
+
+// ============================================
+// CULVER'S: the flavor forecast embedded as page data (Next.js
+// __NEXT_DATA__ and similar JSON blocks), or failing that, h3 day headers
+// next to an a[href*="flavor-of-the-day"] link
+// ============================================
+
+const CULVERS_ORIGIN = "https://www.culvers.com";
+
+function absoluteUrl(url) {
+  try {
+    return url ? new URL(url, CULVERS_ORIGIN).href : null;
+  } catch {
+    return null;
+  }
+}
+
+function isCulversForecastEntry(value) {
+  return (
+    value &&
+    typeof value === "object" &&
+    typeof (value.calendarDate || value.date) === "string" &&
+    typeof (value.flavorName || value.title || value.name) === "string"
+  );
+}
+
+// The first array of forecast entries anywhere in the page data
+function findCulversForecast(value) {
+  if (Array.isArray(value)) {
+    if (value.length > 0 && value.every(isCulversForecastEntry)) return value;
+    for (const item of value) {
+      const found = findCulversForecast(item);
+      if (found) return found;
+    }
+  } else if (value && typeof value === "object") {
+    for (const child of Object.values(value)) {
+      const found = findCulversForecast(child);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function toCulversFlavor(entry) {
+  const image = entry.image || {};
+  const flavor = {
+    name: cleanText(entry.flavorName || entry.title || entry.name),
+    description: cleanText(
+      cheerio.load(entry.flavorDescription || entry.description || "").text()
+    ),
+  };
+
+  const imageUrl = absoluteUrl(
+    typeof image === "string" ? image : image.src || entry.imageUrl
+  );
+  const url = absoluteUrl(
+    entry.url || (entry.urlSlug ? `/flavor-of-the-day/${entry.urlSlug}` : null)
+  );
+  if (imageUrl) flavor.imageUrl = imageUrl;
+  if (url) flavor.url = url;
+  return flavor;
+}
+
+// Days from the embedded forecast from today on, or null if the page has none
+function parseCulversPageData($, today) {
+  let forecast = null;
+
+  $('script#__NEXT_DATA__, script[type="application/json"]').each(
+    (i, script) => {
+      if (forecast) return;
+      try {
+        forecast = findCulversForecast(JSON.parse($(script).text()));
+      } catch {
+        // Not JSON after all; keep looking
+      }
+    }
+  );
+  if (!forecast) return null;
+
+  const days = new Map();
+  for (const entry of forecast) {
+    // "2026-01-07T00:00:00" is a calendar date, whatever the time zone
+    const resolved = resolveDayHeader(
+      String(entry.calendarDate || entry.date).slice(0, 10),
+      today
+    );
+    if (!resolved || resolved.date < today) continue;
+
+    if (!days.has(resolved.date))
+      days.set(resolved.date, buildDay(resolved, []));
+    days.get(resolved.date).flavors.push(toCulversFlavor(entry));
+  }
+
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function parseCulversHtml(html, today) {
+  const $ = cheerio.load(html);
+  const embedded = parseCulversPageData($, today);
+  if (embedded) return embedded;
+
+  const results = [];
+
+  $("h3").each((i, header) => {
+    const headerText = cleanText($(header).text());
+    if (!WEEKDAY_PATTERN.test(headerText)) return;
+
+    const flavorLink = $(header)
+      .parent()
+      .find('a[href*="flavor-of-the-day"]')
+      .first();
+    if (!flavorLink.length) return;
+
+    const flavor = { name: cleanText(flavorLink.text()), description: "" };
+    const url = absoluteUrl(flavorLink.attr("href"));
+    if (url) flavor.url = url;
+
+    const flavors = [flavor];
+    const resolved = resolveDayHeader(headerText, today);
+
+    // Unresolved headers are kept so schema validation reports them
+    results.push(
+      resolved
+        ? buildDay(resolved, flavors)
+        : { date: headerText, dayLabel: "", flavors: flavors }
+    );
+  });
+
+  return results;
+}
+
+// ============================================
+// GILLES: a single featured flavor, or a winter-closed notice
+// ============================================
+
+function parseGillesHtml(html, today) {
+  const $ = cheerio.load(html);
+  const bodyText = cleanText($("body").text());
+
+  if (/closed/i.test(bodyText) && /winter/i.test(bodyText)) {
+    const reopen = bodyText.match(
+      /(?:reopen(?:s|ing)?|return(?:s|ing)?)(?: on)? ((?:January|February|March|April)\s+\d{1,2}(?:st|nd|rd|th)?(?:,?\s+\d{4})?)/i
+    );
+
+    return {
+      status: "closed",
+      hours: reopen ? `Reopens ${reopen[1]}` : "Closed for the season",
+      flavors: [
+        {
+          date: today,
+          dayLabel: "closed",
+          flavors: [
+            {
+              name: "Closed for Winter",
+              description: reopen
+                ? `Returning ${reopen[1]}`
+                : "Closed for the winter season",
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  const flavorHeading = cleanText(
+    $('.featured h3, h3:contains("Flavor")').first().text()
+  );
+  const flavorText = cleanText(
+    $('.featured p, p:contains("custard")').first().text()
+  );
+
+  // No featured flavor: a stand-in day, never served as a real flavor
+  if (!flavorHeading) {
+    return {
+      status: "open",
+      flavors: [
+        {
+          date: today,
+          dayLabel: "today",
+          placeholder: true,
+          flavors: [
+            {
+              name: "Check in-store",
+              description: "Visit Gilles for today's special flavor",
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  return {
+    status: "open",
+    flavors: [
+      {
+        date: today,
+        dayLabel: "today",
+        flavors: [
+          {
+            name: flavorHeading,
+            description:
+              flavorText || "Visit Gilles for today's special flavor",
+          },
+        ],
+      },
+    ],
+  };
+}
+
+// ============================================
+// LEON'S: the standing menu, with the weekend special as a stand-in
+// ============================================
+// The weekend special is only announced in-store or on Facebook, so it is a
+// placeholder day that a manual override can replace (see lib/overrides.js).
+
+function getLeonsMenu(today) {
+  return [
+    {
+      date: today,
+      dayLabel: "always",
+      flavors: [
+        {
+          name: "Vanilla",
+          description: "Classic vanilla custard (always available)",
+        },
+        {
+          name: "Chocolate",
+          description: "Rich chocolate custard (always available)",
+        },
+        {
+          name: "Butter Pecan",
+          description: "Butter pecan custard (always available)",
+        },
+      ],
+    },
+    {
+      date: today,
+      dayLabel: "today",
+      placeholder: true,
+      flavors: [
+        {
+          name: "Weekend Special",
+          description: "Check in-store or Facebook for weekend specials",
+        },
+      ],
+    },
+  ];
+}
+
+module.exports = {
+  parseKoppsHtml,
+  parseMurfsHtml,
+  parseCulversHtml,
+  parseGillesHtml,
+  getLeonsMenu,
+};
@@ -0,0 +1,136 @@
+// ============================================
+// SCRAPE CONCURRENCY
+// ============================================
+// Scrapers run side by side, so page loads are bounded three ways:
+//
+//   createLimiter        at most CONFIG.SCRAPE_CONCURRENCY loads in flight
+//   createDomainThrottle loads from one host start at least
+//                        CONFIG.SCRAPE_DOMAIN_INTERVAL ms apart, so each site
+//                        sees the same pace as a sequential scrape
+//   createPagePool       browser pages are reused, and at most
+//                        CONFIG.BROWSER_POOL_SIZE are open at once
+//
+// withTimeout caps a single page load so a page that never settles fails
+// that load instead of holding up the rest of the run.
+
+// Runs tasks with at most `limit` running at once, in the order they arrive
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  return async function run(task) {
+    if (active < limit) {
+      active++;
+    } else {
+      // The finishing task hands its slot straight over
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = waiting.shift();
+      if (next) next();
+      else active--;
+    }
+  };
+}
+
+// `wait(url)` resolves once a load from url's host may start. Start times are
+// reserved up front, so concurrent callers for one host queue up in order.
+function createDomainThrottle(intervalMs) {
+  const nextStart = new Map();
+
+  return async function wait(url) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const start = Math.max(now, nextStart.get(host) || 0);
+
+    nextStart.set(host, start + intervalMs);
+    if (start > now) {
+      await new Promise((resolve) => setTimeout(resolve, start - now));
+    }
+  };
+}
+
+// Rejects with `message` if `promise` has not settled within `ms`
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A pool of at most `size` pages opened by `openPage()`. `release` returns a
+// healthy page for reuse; `destroy` closes one that failed or timed out and
+// frees its slot. `clear` forgets idle pages once their browser is closed.
+function createPagePool({ size, openPage }) {
+  const idle = [];
+  const waiting = [];
+  let open = 0;
+
+  function handOver(page) {
+    const next = waiting.shift();
+    if (next) next(page);
+    else if (page) idle.push(page);
+  }
+
+  async function acquire() {
+    while (idle.length > 0) {
+      const page = idle.pop();
+      if (!page.isClosed()) return page;
+      open--;
+    }
+
+    if (open < size) {
+      open++;
+      try {
+        return await openPage();
+      } catch (error) {
+        open--;
+        handOver(null);
+        throw error;
+      }
+    }
+
+    // Wait for a released page, or for a free slot (null)
+    const page = await new Promise((resolve) => waiting.push(resolve));
+    if (page && !page.isClosed()) return page;
+    if (page) open--;
+    return acquire();
+  }
+
+  function release(page) {
+    handOver(page);
+  }
+
+  async function destroy(page) {
+    open--;
+    await page.close().catch(() => {});
+    handOver(null);
+  }
+
+  function clear() {
+    open -= idle.length;
+    idle.length = 0;
+  }
+
+  return {
+    acquire,
+    release,
+    destroy,
+    clear,
+    get openPages() {
+      return open;
+    },
+  };
+}
+
+module.exports = {
+  createLimiter,
+  createDomainThrottle,
+  withTimeout,
+  createPagePool,
+};
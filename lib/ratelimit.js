@@ -0,0 +1,72 @@
+// ============================================
+// RATE LIMITING
+// ============================================
+// Fixed-window request counters kept in memory, so each replica enforces its
+// own limits. Clients are identified by API key when the request carries a
+// valid one, and by IP otherwise. Responses carry the draft IETF RateLimit-*
+// headers, plus Retry-After once the limit is hit.
+
+const CONFIG = require("./config");
+const logger = require("./logger");
+
+// Creates a limiter middleware. `limits` is { perIp, perKey }; requests for
+// which `skip(req)` is true pass uncounted. `now` can be replaced in tests.
+function createRateLimiter({
+  name,
+  limits,
+  windowMs = CONFIG.RATE_LIMIT_WINDOW_MS,
+  skip = () => false,
+  now = Date.now,
+}) {
+  const windows = new Map();
+
+  function sweep(time) {
+    for (const [client, window] of windows) {
+      if (window.resetAt <= time) windows.delete(client);
+    }
+  }
+
+  function hit(client, time) {
+    let window = windows.get(client);
+    if (!window || window.resetAt <= time) {
+      if (windows.size > 10000) sweep(time);
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(client, window);
+    }
+    window.count++;
+    return window;
+  }
+
+  return (req, res, next) => {
+    if (skip(req)) return next();
+
+    const time = now();
+    const client = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    const limit = req.apiKey ? limits.perKey : limits.perIp;
+    const window = hit(client, time);
+    const resetSeconds = Math.ceil((window.resetAt - time) / 1000);
+
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, limit - window.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (window.count > limit) {
+      if (window.count === limit + 1) {
+        logger.warn(`Rate limit (${name}) exceeded by ${client}`);
+      }
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        error: "Too many requests",
+        message: `Rate limit exceeded, retry in ${resetSeconds} seconds`,
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+};
@@ -0,0 +1,134 @@
+// ============================================
+// STAND REGISTRY
+// ============================================
+// Stand metadata lives in DATA_DIR/stands.json, one entry per stand:
+//
+//   {
+//     "id": "culvers-west-allis",
+//     "strategy": "culvers",        // which scraper fetches its flavors
+//     "enabled": true,              // false skips the stand entirely
+//     "slug": "west-allis",         // strategy-specific options
+//     "name", "location", "address", "phone", "hours", "website",
+//     "latitude", "longitude",      // decimal degrees, for /api/nearby
+//     "schedule": { ... }           // structured hours, see lib/hours.js
+//   }
+//
+// The file is re-read on every scrape, so stands can be added or switched off
+// without a deploy. If DATA_DIR has no registry yet (e.g. a fresh volume), the
+// copy bundled with the app is written there first.
+//
+// Fields added to the bundled copy in later releases (e.g. "schedule" and the
+// coordinates) reach an existing DATA_DIR registry too: each entry is filled
+// in from the bundled entry with the same id when it is loaded. Fields the
+// DATA_DIR entry sets always win, so set one to null to drop it. Stands the
+// DATA_DIR copy leaves out are not added back.
+//
+// Culver's restaurants are also discovered automatically (lib/discovery.js).
+// An entry here with the same slug keeps its settings, and "enabled": false
+// hides a discovered restaurant.
+
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("./config");
+const logger = require("./logger");
+const { validateSchedule } = require("./hours");
+
+const BUNDLED_REGISTRY = path.join(__dirname, "..", "data", "stands.json");
+const REQUIRED_FIELDS = ["id", "strategy", "name", "location"];
+
+function getRegistryPath() {
+  return path.join(CONFIG.DATA_DIR, "stands.json");
+}
+
+async function readRegistryFile() {
+  const registryPath = getRegistryPath();
+
+  try {
+    return JSON.parse(await fs.readFile(registryPath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+
+    logger.warn(`Stand registry not found, seeding ${registryPath}`);
+    const bundled = await fs.readFile(BUNDLED_REGISTRY, "utf8");
+    await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+    await fs.writeFile(registryPath, bundled);
+    return JSON.parse(bundled);
+  }
+}
+
+// `entries` with fields they lack filled in from the `bundled` entry with the
+// same id
+function mergeBundledFields(entries, bundled) {
+  const bundledById = new Map(bundled.map((entry) => [entry.id, entry]));
+
+  return entries.map((entry) => {
+    const defaults = bundledById.get(entry.id);
+    return defaults ? { ...defaults, ...entry } : entry;
+  });
+}
+
+function validateEntry(entry, knownStrategies, seenIds) {
+  const errors = REQUIRED_FIELDS.filter(
+    (field) => typeof entry[field] !== "string" || !entry[field]
+  ).map((field) => `${field} must be a non-empty string`);
+
+  if (entry.strategy && !knownStrategies.includes(entry.strategy)) {
+    errors.push(`unknown strategy "${entry.strategy}"`);
+  }
+  if (
+    (entry.latitude !== undefined || entry.longitude !== undefined) &&
+    !(Math.abs(entry.latitude) <= 90 && Math.abs(entry.longitude) <= 180)
+  ) {
+    errors.push("latitude/longitude must be valid decimal degrees");
+  }
+  if (entry.schedule) {
+    errors.push(...validateSchedule(entry.schedule));
+  }
+  if (entry.id && seenIds.has(entry.id)) {
+    errors.push(`duplicate id "${entry.id}"`);
+  }
+
+  return errors;
+}
+
+// Returns the enabled, valid registry entries in file order. Invalid entries
+// are logged and skipped so one typo doesn't take every stand down.
+// `extend(entries)` may add generated entries (e.g. discovered Culver's
+// locations) before validation, so file entries can still disable them.
+async function loadStandRegistry(
+  knownStrategies,
+  extend = (entries) => entries
+) {
+  const fileEntries = await readRegistryFile();
+
+  if (!Array.isArray(fileEntries)) {
+    throw new Error("Stand registry must be a JSON array");
+  }
+
+  const bundled = JSON.parse(await fs.readFile(BUNDLED_REGISTRY, "utf8"));
+  const entries = extend(mergeBundledFields(fileEntries, bundled));
+  const seenIds = new Set();
+  const stands = [];
+
+  entries.forEach((entry, i) => {
+    const errors = validateEntry(entry, knownStrategies, seenIds);
+    if (errors.length > 0) {
+      logger.warn(
+        `Skipping stand registry entry ${entry.id || i}: ${errors.join("; ")}`
+      );
+      return;
+    }
+
+    seenIds.add(entry.id);
+    if (entry.enabled !== false) {
+      stands.push(entry);
+    }
+  });
+
+  return stands;
+}
+
+module.exports = {
+  mergeBundledFields,
+  loadStandRegistry,
+};
@@ -0,0 +1,93 @@
+// ============================================
+// SCRAPE RUN LOG
+// ============================================
+// One entry per finished scrape job, newest last, kept in
+// DATA_DIR/scrape-runs.json and capped at CONFIG.RUN_LOG_LIMIT entries.
+// Unlike the `errors` array in flavors.json, which each scrape overwrites,
+// this keeps enough history to spot a site that quietly started returning
+// zero flavors.
+
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("./config");
+const { writeFileAtomic } = require("./backups");
+
+function getRunLogPath() {
+  return path.join(CONFIG.DATA_DIR, "scrape-runs.json");
+}
+
+async function loadRuns() {
+  try {
+    return JSON.parse(await fs.readFile(getRunLogPath(), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+// Condenses a finished job (see lib/jobs.js) into a run log entry
+function buildRun(job) {
+  return {
+    jobId: job.id,
+    trigger: job.trigger,
+    target: job.target,
+    status: job.status,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    durationMs:
+      job.startedAt && job.finishedAt
+        ? Date.parse(job.finishedAt) - Date.parse(job.startedAt)
+        : null,
+    totalLocations: job.result ? job.result.totalLocations : null,
+    errorCount: job.result ? job.result.errors.length : null,
+    error: job.error,
+    scrapers: job.scrapers.map((s) => ({
+      name: s.name,
+      outcome: s.outcome || "failed",
+      durationMs: s.durationMs,
+      stands: s.stands,
+      freshStands: s.freshStands,
+      flavorsFound: s.flavorsFound,
+      mode: s.mode || null,
+      pages: s.pages,
+      peakRssBytes: s.peakRssBytes,
+      peakBrowserRssBytes: s.peakBrowserRssBytes,
+      error: s.error || null,
+    })),
+  };
+}
+
+async function appendRun(run) {
+  const runs = await loadRuns();
+  runs.push(run);
+
+  await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+  await writeFileAtomic(
+    getRunLogPath(),
+    JSON.stringify(runs.slice(-CONFIG.RUN_LOG_LIMIT), null, 2)
+  );
+}
+
+// Most recent runs first, optionally only those that ran `scraper` (matched
+// case-insensitively against the scraper's display name)
+async function listRuns({ limit = 20, scraper } = {}) {
+  let runs = (await loadRuns()).reverse();
+
+  if (scraper) {
+    const wanted = scraper.toLowerCase();
+    runs = runs
+      .map((run) => ({
+        ...run,
+        scrapers: run.scrapers.filter((s) => s.name.toLowerCase() === wanted),
+      }))
+      .filter((run) => run.scrapers.length > 0);
+  }
+
+  return runs.slice(0, limit);
+}
+
+module.exports = {
+  buildRun,
+  appendRun,
+  listRuns,
+};
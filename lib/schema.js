@@ -0,0 +1,160 @@
+// ============================================
+// CANONICAL STAND SCHEMA
+// ============================================
+// Every scraper result is normalized into this shape in scrapeAllStands
+// before it is saved or served:
+//
+//   Stand {
+//     id:       string   "kopps-greenfield"
+//     name:     string   "Kopp's Frozen Custard"
+//     location: string   "Greenfield"
+//     address, phone, status, hours, website: string
+//     flavors:  Day[]
+//     stale:    boolean  true when flavors come from an earlier scrape
+//     lastSuccessfulScrape: string|null  ISO timestamp
+//   }
+//
+//   Day {
+//     date:         string    ISO date, "2026-01-07"
+//     dayLabel:     string    "today", "tomorrow", "friday", "always", "closed"
+//     flavors:      Flavor[]
+//     placeholder?: boolean   "Check website" stand-in, see lib/fallback.js
+//     conflict?:    string    why the day's labels disagree, see lib/dates.js
+//     source?:      "manual"  entered by an admin, with overrideId and note;
+//                             see lib/overrides.js
+//   }
+//
+//   Flavor {
+//     name:        string   non-empty
+//     description: string
+//     imageUrl?, url?:      string   flavor image and detail page, if known
+//     flavorId, canonicalName, tags, allergens   added by lib/catalog.js
+//   }
+//
+// Murf's and Culver's scrape flat { date: "<header text>", name, description }
+// entries; normalizeStand resolves the header text to an ISO date and groups
+// them into Day entries. Header dates are resolved by lib/dates.js.
+
+const { isIsoDate, resolveDayHeader } = require("./dates");
+
+const STAND_STRING_FIELDS = ["id", "name", "location"];
+
+function normalizeFlavor(flavor) {
+  const normalized = {
+    name: typeof flavor.name === "string" ? flavor.name.trim() : flavor.name,
+    description:
+      typeof flavor.description === "string" ? flavor.description.trim() : "",
+  };
+  for (const field of ["imageUrl", "url"]) {
+    if (typeof flavor[field] === "string" && flavor[field]) {
+      normalized[field] = flavor[field];
+    }
+  }
+  return normalized;
+}
+
+// Converts any scraper's flavor entries into Day[] in date order. Entries that
+// are already nested keep their date, dayLabel and conflict; flat entries are
+// grouped by the date resolved from their header text. Unresolvable flat
+// entries keep their raw date so validation can report them. A nested day
+// repeating an earlier day's date is flagged as a conflict; "always" days
+// don't claim their date, since they stand for every day. Stand-in days a
+// scraper marks `placeholder` stay marked.
+function normalizeFlavors(entries, today) {
+  const days = [];
+  const byDate = new Map();
+
+  for (const entry of entries || []) {
+    if (Array.isArray(entry.flavors)) {
+      const day = {
+        date: entry.date,
+        dayLabel: entry.dayLabel || "",
+        flavors: entry.flavors.map(normalizeFlavor),
+      };
+
+      const always = day.dayLabel === "always";
+      const earlier = always ? null : byDate.get(entry.date);
+      const conflict =
+        entry.conflict ||
+        (earlier
+          ? `${entry.date} is listed as both "${earlier.dayLabel}" and "${day.dayLabel}"`
+          : null);
+      if (conflict) day.conflict = conflict;
+      if (entry.placeholder) day.placeholder = true;
+
+      if (!earlier && !always) byDate.set(entry.date, day);
+      days.push(day);
+      continue;
+    }
+
+    const resolved = resolveDayHeader(entry.date, today);
+    const date = resolved ? resolved.date : entry.date;
+    if (!byDate.has(date)) {
+      const day = {
+        date: date,
+        dayLabel: entry.dayLabel || (resolved ? resolved.dayLabel : ""),
+        flavors: [],
+      };
+      if (resolved && resolved.conflict) day.conflict = resolved.conflict;
+      byDate.set(date, day);
+      days.push(day);
+    }
+    byDate.get(date).flavors.push(normalizeFlavor(entry));
+  }
+
+  return days.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+function normalizeStand(stand, today) {
+  return {
+    ...stand,
+    flavors: normalizeFlavors(stand.flavors, today),
+  };
+}
+
+function validateDay(day) {
+  const errors = [];
+
+  if (!isIsoDate(day.date)) {
+    errors.push(`date "${day.date}" is not an ISO date`);
+  }
+  if (typeof day.dayLabel !== "string") {
+    errors.push("dayLabel must be a string");
+  }
+  if (!Array.isArray(day.flavors)) {
+    errors.push("flavors must be an array");
+    return errors;
+  }
+
+  day.flavors.forEach((flavor, i) => {
+    if (typeof flavor.name !== "string" || !flavor.name) {
+      errors.push(`flavors[${i}].name must be a non-empty string`);
+    }
+    if (typeof flavor.description !== "string") {
+      errors.push(`flavors[${i}].description must be a string`);
+    }
+  });
+
+  return errors;
+}
+
+function validateStand(stand) {
+  const errors = [];
+
+  for (const field of STAND_STRING_FIELDS) {
+    if (typeof stand[field] !== "string" || !stand[field]) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  if (!Array.isArray(stand.flavors)) {
+    errors.push("flavors must be an array");
+  }
+
+  return errors;
+}
+
+module.exports = {
+  normalizeStand,
+  validateStand,
+  validateDay,
+};
@@ -0,0 +1,155 @@
+// ============================================
+// FLAVOR SEARCH
+// ============================================
+// Fuzzy, ranked search over every stand's flavors. Text is normalized before
+// matching (case, accents and punctuation dropped) so "Snicker's" finds
+// "Snickers", and small typos are tolerated via edit distance.
+
+const NAME_WEIGHT = 1;
+const DESCRIPTION_WEIGHT = 0.4;
+const MIN_SCORE = 0.5;
+
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['\u2019`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function tokenize(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(" ") : [];
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Similarity in [0, 1] between one query token and one text token.
+function scoreToken(queryToken, textToken) {
+  if (queryToken === textToken) return 1;
+  if (textToken.startsWith(queryToken)) return 0.9;
+  if (textToken.includes(queryToken)) return 0.7;
+
+  const maxDistance = queryToken.length <= 4 ? 1 : 2;
+  const distance = levenshtein(queryToken, textToken);
+  if (distance > maxDistance) return 0;
+
+  return 0.8 * (1 - distance / Math.max(queryToken.length, textToken.length));
+}
+
+// Average of each query token's best match in the text, plus a bonus when
+// the whole query appears as a phrase.
+function scoreText(queryTokens, text) {
+  const textTokens = tokenize(text);
+  if (queryTokens.length === 0 || textTokens.length === 0) return 0;
+
+  const total = queryTokens.reduce(
+    (sum, queryToken) =>
+      sum + Math.max(...textTokens.map((t) => scoreToken(queryToken, t))),
+    0
+  );
+  const phraseBonus = normalizeText(text).includes(queryTokens.join(" "))
+    ? 0.25
+    : 0;
+
+  return total / queryTokens.length + phraseBonus;
+}
+
+function getChain(stand) {
+  return stand.id.split("-")[0];
+}
+
+// Yields one { date, dayLabel, name, description } per flavor, whether the
+// stand uses nested day entries or flat flavor entries. Placeholder days
+// ("Check website") are skipped.
+function flattenStandFlavors(stand) {
+  const flat = [];
+
+  for (const entry of stand.flavors || []) {
+    if (entry.placeholder) continue;
+    const items = Array.isArray(entry.flavors) ? entry.flavors : [entry];
+    for (const item of items) {
+      if (!item.name) continue;
+      flat.push({
+        date: entry.date,
+        dayLabel: entry.dayLabel || "",
+        name: item.name,
+        description: item.description || "",
+      });
+    }
+  }
+
+  return flat;
+}
+
+function scoreFlavor(queryTokens, flavor) {
+  return (
+    NAME_WEIGHT * scoreText(queryTokens, flavor.name) +
+    DESCRIPTION_WEIGHT * scoreText(queryTokens, flavor.description)
+  );
+}
+
+// Whether a single { name, description } flavor matches the query `q`
+function matchesFlavor(q, flavor) {
+  return scoreFlavor(tokenize(q), flavor) >= MIN_SCORE;
+}
+
+function searchFlavors(data, { q, date, chain, locationId } = {}) {
+  const queryTokens = tokenize(q);
+  const chainFilter = chain ? normalizeText(chain).replace(/ /g, "") : null;
+  const results = [];
+
+  for (const stand of data.stands) {
+    if (locationId && stand.id !== locationId) continue;
+    if (chainFilter && getChain(stand) !== chainFilter) continue;
+
+    for (const flavor of flattenStandFlavors(stand)) {
+      if (date && flavor.date !== date) continue;
+
+      const score = scoreFlavor(queryTokens, flavor);
+      if (score < MIN_SCORE) continue;
+
+      results.push({
+        standId: stand.id,
+        standName: stand.name,
+        location: stand.location,
+        chain: getChain(stand),
+        date: flavor.date,
+        dayLabel: flavor.dayLabel,
+        flavor: flavor.name,
+        description: flavor.description,
+        score: Math.round(score * 1000) / 1000,
+      });
+    }
+  }
+
+  return results.sort(
+    (a, b) => b.score - a.score || String(a.date).localeCompare(b.date)
+  );
+}
+
+module.exports = {
+  normalizeText,
+  levenshtein,
+  flattenStandFlavors,
+  matchesFlavor,
+  searchFlavors,
+};
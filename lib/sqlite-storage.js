@@ -0,0 +1,394 @@
+// ============================================
+// SQLITE STORAGE BACKEND
+// ============================================
+// Stores datasets in proper tables so a single stand or date range can be
+// read without loading everything:
+//
+//   datasets          one row: timestamp, lastUpdated and other top-level
+//                     fields, plus a version bumped on every save
+//   stands            one row per stand (metadata as JSON)
+//   stand_days        one row per forecast day, indexed by date
+//   day_flavors       one row per flavor on a day
+//   scrape_errors     the dataset's `errors`
+//   scrape_runs       run log entries, with per-scraper outcomes in
+//   scrape_run_scrapers
+//
+// Requires the optional better-sqlite3 dependency. It is synchronous; the
+// async interface matches the other backends (see lib/storage.js).
+
+const fs = require("fs");
+const path = require("path");
+const CONFIG = require("./config");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS datasets (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    version INTEGER NOT NULL,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS stands (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    name TEXT,
+    location TEXT,
+    status TEXT,
+    stale INTEGER,
+    last_successful_scrape TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS stand_days (
+    stand_id TEXT NOT NULL REFERENCES stands (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    date TEXT,
+    day_label TEXT,
+    placeholder INTEGER NOT NULL DEFAULT 0,
+    data TEXT,
+    PRIMARY KEY (stand_id, position)
+  );
+  CREATE INDEX IF NOT EXISTS stand_days_date ON stand_days (date);
+
+  CREATE TABLE IF NOT EXISTS day_flavors (
+    stand_id TEXT NOT NULL,
+    day_position INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    flavor_id TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (stand_id, day_position, position),
+    FOREIGN KEY (stand_id, day_position)
+      REFERENCES stand_days (stand_id, position) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS day_flavors_flavor_id ON day_flavors (flavor_id);
+
+  CREATE TABLE IF NOT EXISTS scrape_errors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scraper TEXT,
+    stand_id TEXT,
+    error TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS scrape_runs (
+    job_id TEXT PRIMARY KEY,
+    trigger TEXT,
+    status TEXT,
+    started_at TEXT,
+    finished_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS scrape_runs_finished_at
+    ON scrape_runs (finished_at);
+
+  CREATE TABLE IF NOT EXISTS scrape_run_scrapers (
+    job_id TEXT NOT NULL REFERENCES scrape_runs (job_id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    outcome TEXT,
+    flavors_found INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (job_id, position)
+  );
+`;
+
+// Day fields with their own stand_days columns; any others go in `data`
+const DAY_COLUMNS = ["date", "dayLabel", "placeholder", "flavors"];
+
+function getSqlitePath() {
+  return CONFIG.SQLITE_PATH || path.join(CONFIG.DATA_DIR, "custard.db");
+}
+
+function openDatabase(filePath) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      `STORAGE_BACKEND=sqlite needs the better-sqlite3 package (${error.message})`
+    );
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.pragma("busy_timeout = 5000");
+  db.exec(SCHEMA);
+
+  // Databases created before days kept their other fields (conflict, source)
+  const dayColumns = db.pragma("table_info(stand_days)").map((c) => c.name);
+  if (!dayColumns.includes("data")) {
+    db.exec("ALTER TABLE stand_days ADD COLUMN data TEXT");
+  }
+  return db;
+}
+
+function createSqliteBackend({ filePath = getSqlitePath() } = {}) {
+  const db = openDatabase(filePath);
+
+  const statements = {
+    version: db.prepare("SELECT version FROM datasets WHERE id = 1"),
+    timestamp: db.prepare("SELECT timestamp FROM datasets WHERE id = 1"),
+    dataset: db.prepare("SELECT data FROM datasets WHERE id = 1"),
+    upsertDataset: db.prepare(`
+      INSERT INTO datasets (id, version, timestamp, data) VALUES (1, 1, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        version = version + 1, timestamp = excluded.timestamp, data = excluded.data
+    `),
+    stands: db.prepare("SELECT id, data FROM stands ORDER BY position"),
+    stand: db.prepare("SELECT id, data FROM stands WHERE id = ?"),
+    days: db.prepare(`
+      SELECT stand_id, position, date, day_label, placeholder, data
+      FROM stand_days ORDER BY stand_id, position
+    `),
+    standDays: db.prepare(`
+      SELECT stand_id, position, date, day_label, placeholder, data
+      FROM stand_days
+      WHERE stand_id = ?
+        AND (? IS NULL OR date >= ?)
+        AND (? IS NULL OR date <= ?)
+      ORDER BY position
+    `),
+    flavors: db.prepare(`
+      SELECT stand_id, day_position, data FROM day_flavors
+      ORDER BY stand_id, day_position, position
+    `),
+    standFlavors: db.prepare(`
+      SELECT stand_id, day_position, data FROM day_flavors
+      WHERE stand_id = ? ORDER BY day_position, position
+    `),
+    errors: db.prepare("SELECT data FROM scrape_errors ORDER BY id"),
+    insertStand: db.prepare(`
+      INSERT INTO stands
+        (id, position, name, location, status, stale, last_successful_scrape, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    insertDay: db.prepare(`
+      INSERT INTO stand_days
+        (stand_id, position, date, day_label, placeholder, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    insertFlavor: db.prepare(`
+      INSERT INTO day_flavors
+        (stand_id, day_position, position, name, description, flavor_id, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    insertError: db.prepare(`
+      INSERT INTO scrape_errors (scraper, stand_id, error, timestamp, data)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    insertRun: db.prepare(`
+      INSERT OR REPLACE INTO scrape_runs
+        (job_id, trigger, status, started_at, finished_at, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    deleteRunScrapers: db.prepare(
+      "DELETE FROM scrape_run_scrapers WHERE job_id = ?"
+    ),
+    insertRunScraper: db.prepare(`
+      INSERT INTO scrape_run_scrapers
+        (job_id, position, name, outcome, flavors_found, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    pruneRuns: db.prepare(`
+      DELETE FROM scrape_runs WHERE job_id NOT IN (
+        SELECT job_id FROM scrape_runs ORDER BY finished_at DESC LIMIT ?
+      )
+    `),
+    runs: db.prepare(`
+      SELECT job_id, data FROM scrape_runs
+      WHERE ? IS NULL OR job_id IN (
+        SELECT job_id FROM scrape_run_scrapers WHERE lower(name) = ?
+      )
+      ORDER BY finished_at DESC LIMIT ?
+    `),
+    runScrapers: db.prepare(`
+      SELECT data FROM scrape_run_scrapers
+      WHERE job_id = ? AND (? IS NULL OR lower(name) = ?)
+      ORDER BY position
+    `),
+  };
+
+  // Rebuilds Stand objects from their rows
+  function assembleStands(standRows, dayRows, flavorRows) {
+    const days = new Map();
+    for (const row of dayRows) {
+      const day = {
+        date: row.date,
+        dayLabel: row.day_label,
+        ...(row.data ? JSON.parse(row.data) : {}),
+        flavors: [],
+      };
+      if (row.placeholder) day.placeholder = true;
+      days.set(`${row.stand_id}:${row.position}`, day);
+    }
+    for (const row of flavorRows) {
+      const day = days.get(`${row.stand_id}:${row.day_position}`);
+      if (day) day.flavors.push(JSON.parse(row.data));
+    }
+
+    return standRows.map((row) => ({
+      ...JSON.parse(row.data),
+      flavors: dayRows
+        .filter((day) => day.stand_id === row.id)
+        .map((day) => days.get(`${day.stand_id}:${day.position}`)),
+    }));
+  }
+
+  const writeDataset = db.transaction((data) => {
+    const { stands, errors, ...top } = data;
+
+    db.exec(
+      "DELETE FROM day_flavors; DELETE FROM stand_days; DELETE FROM stands; DELETE FROM scrape_errors;"
+    );
+
+    (stands || []).forEach((stand, standPosition) => {
+      const { flavors, ...metadata } = stand;
+      statements.insertStand.run(
+        stand.id,
+        standPosition,
+        stand.name,
+        stand.location,
+        stand.status,
+        stand.stale ? 1 : 0,
+        stand.lastSuccessfulScrape || null,
+        JSON.stringify(metadata)
+      );
+
+      (flavors || []).forEach((day, dayPosition) => {
+        const extra = Object.entries(day).filter(
+          ([key]) => !DAY_COLUMNS.includes(key)
+        );
+        statements.insertDay.run(
+          stand.id,
+          dayPosition,
+          day.date,
+          day.dayLabel,
+          day.placeholder ? 1 : 0,
+          extra.length > 0 ? JSON.stringify(Object.fromEntries(extra)) : null
+        );
+        (day.flavors || []).forEach((flavor, position) => {
+          statements.insertFlavor.run(
+            stand.id,
+            dayPosition,
+            position,
+            flavor.name,
+            flavor.description,
+            flavor.flavorId || null,
+            JSON.stringify(flavor)
+          );
+        });
+      });
+    });
+
+    for (const error of errors || []) {
+      statements.insertError.run(
+        error.scraper || null,
+        error.standId || null,
+        error.error || null,
+        error.timestamp || null,
+        JSON.stringify(error)
+      );
+    }
+
+    statements.upsertDataset.run(top.timestamp || null, JSON.stringify(top));
+  });
+
+  const appendRun = db.transaction((run) => {
+    statements.insertRun.run(
+      run.jobId,
+      run.trigger,
+      run.status,
+      run.startedAt,
+      run.finishedAt,
+      JSON.stringify({ ...run, scrapers: undefined })
+    );
+    statements.deleteRunScrapers.run(run.jobId);
+    run.scrapers.forEach((scraper, position) => {
+      statements.insertRunScraper.run(
+        run.jobId,
+        position,
+        scraper.name,
+        scraper.outcome,
+        scraper.flavorsFound === undefined ? null : scraper.flavorsFound,
+        JSON.stringify(scraper)
+      );
+    });
+    statements.pruneRuns.run(CONFIG.RUN_LOG_LIMIT);
+  });
+
+  return {
+    async getVersion() {
+      const row = statements.version.get();
+      return row ? row.version : null;
+    },
+
+    async readDataset() {
+      const row = statements.dataset.get();
+      if (!row) return null;
+
+      const stands = assembleStands(
+        statements.stands.all(),
+        statements.days.all(),
+        statements.flavors.all()
+      );
+      return {
+        ...JSON.parse(row.data),
+        totalLocations: stands.length,
+        stands,
+        errors: statements.errors.all().map((e) => JSON.parse(e.data)),
+      };
+    },
+
+    async writeDataset(data) {
+      writeDataset(data);
+    },
+
+    async readStand(id, { from, to } = {}) {
+      const standRow = statements.stand.get(id);
+      if (!standRow) return null;
+
+      const dayRows = statements.standDays.all(
+        id,
+        from || null,
+        from || null,
+        to || null,
+        to || null
+      );
+      const [stand] = assembleStands(
+        [standRow],
+        dayRows,
+        statements.standFlavors.all(id)
+      );
+      const row = statements.timestamp.get();
+      return { timestamp: row ? row.timestamp : null, stand };
+    },
+
+    async appendRun(run) {
+      appendRun(run);
+    },
+
+    async listRuns({ limit = 20, scraper } = {}) {
+      const name = scraper ? scraper.toLowerCase() : null;
+      return statements.runs.all(name, name, limit).map((row) => ({
+        ...JSON.parse(row.data),
+        scrapers: statements.runScrapers
+          .all(row.job_id, name, name)
+          .map((s) => JSON.parse(s.data)),
+      }));
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  createSqliteBackend,
+};
@@ -0,0 +1,200 @@
+// ============================================
+// STORAGE
+// ============================================
+// Flavor datasets and the scrape run log are persisted through a storage
+// backend, chosen with STORAGE_BACKEND:
+//
+//   json    (default) DATA_DIR/flavors.json and DATA_DIR/scrape-runs.json
+//   sqlite  DATA_DIR/custard.db (or SQLITE_PATH), see lib/sqlite-storage.js
+//
+// Every backend implements:
+//
+//   getVersion()               token that changes whenever a dataset is saved
+//   readDataset()              the saved dataset, or null
+//   writeDataset(data)         replaces the saved dataset
+//   readStand(id, { from, to }) { timestamp, stand } for one stand, its days
+//                              limited to the date range, or null
+//   appendRun(run)             adds a scrape run log entry (lib/runlog.js)
+//   listRuns({ limit, scraper })
+//   close()
+//
+// createStorage wraps the backend with an in-memory copy of the dataset that
+// is reused until getVersion() changes, e.g. after a save by another replica
+// sharing DATA_DIR. Callers must not mutate the datasets they are given.
+//
+// Saved datasets are also kept as rotating JSON backups (lib/backups.js),
+// whichever backend is in use.
+
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("./config");
+const logger = require("./logger");
+const runlog = require("./runlog");
+const backups = require("./backups");
+
+const BACKENDS = {
+  json: createJsonBackend,
+  sqlite: (options) => require("./sqlite-storage").createSqliteBackend(options),
+};
+
+// Limits a stand's forecast days to dates within [from, to]
+function filterStandDays(stand, { from, to } = {}) {
+  if (!from && !to) return stand;
+  return {
+    ...stand,
+    flavors: stand.flavors.filter(
+      (day) => (!from || day.date >= from) && (!to || day.date <= to)
+    ),
+  };
+}
+
+// ============================================
+// JSON FILE BACKEND
+// ============================================
+
+function createJsonBackend() {
+  const filePath = path.join(CONFIG.DATA_DIR, "flavors.json");
+
+  // A truncated or corrupt flavors.json is replaced by the newest readable
+  // backup until the next save
+  async function readDataset() {
+    let text;
+    try {
+      text = await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    try {
+      return backups.parseDataset(text);
+    } catch (error) {
+      logger.error(`Could not read ${filePath}: ${error.message}`);
+      const backup = await backups.loadNewestValidBackup();
+      if (!backup) throw error;
+
+      logger.warn(`Serving flavor data from backup ${backup.name}`);
+      return backup.data;
+    }
+  }
+
+  return {
+    async getVersion() {
+      try {
+        return (await fs.stat(filePath)).mtimeMs;
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    readDataset,
+
+    async writeDataset(data) {
+      await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+      await backups.writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    },
+
+    async readStand(id, range) {
+      const data = await readDataset();
+      const stand = data && data.stands.find((s) => s.id === id);
+      return stand
+        ? { timestamp: data.timestamp, stand: filterStandDays(stand, range) }
+        : null;
+    },
+
+    appendRun: runlog.appendRun,
+    listRuns: runlog.listRuns,
+
+    async close() {},
+  };
+}
+
+// ============================================
+// CACHING WRAPPER
+// ============================================
+
+function createStorage(backendName = CONFIG.STORAGE_BACKEND, options = {}) {
+  const createBackend = BACKENDS[backendName];
+  if (!createBackend) {
+    throw new Error(
+      `Unknown storage backend "${backendName}". Available: ${Object.keys(
+        BACKENDS
+      ).join(", ")}`
+    );
+  }
+
+  const backend = createBackend(options);
+  let cache = null;
+
+  return {
+    name: backendName,
+
+    async loadDataset() {
+      const version = await backend.getVersion();
+      if (version === null) return null;
+      if (cache && cache.version === version) return cache.data;
+
+      const data = await backend.readDataset();
+      cache = { data, version };
+      return data;
+    },
+
+    async saveDataset(data) {
+      await backend.writeDataset(data);
+      cache = { data, version: await backend.getVersion() };
+
+      try {
+        await backups.saveBackup(data);
+      } catch (error) {
+        logger.error("Failed to back up flavor data:", error.message);
+      }
+    },
+
+    listBackups: () => backups.listBackups(),
+
+    // Saves backup `name` as the current dataset. Resolves to the restored
+    // dataset, or null if there is no such backup.
+    async restoreBackup(name) {
+      const data = await backups.loadBackup(name);
+      if (data) await this.saveDataset(data);
+      return data;
+    },
+
+    // Served from the cached dataset when it is current
+    async loadStand(id, range) {
+      const version = await backend.getVersion();
+      if (cache && cache.version === version) {
+        const { timestamp, stands } = cache.data;
+        const stand = stands.find((s) => s.id === id);
+        return stand
+          ? { timestamp, stand: filterStandDays(stand, range) }
+          : null;
+      }
+      return backend.readStand(id, range);
+    },
+
+    appendRun: (run) => backend.appendRun(run),
+    listRuns: (options) => backend.listRuns(options),
+
+    async close() {
+      cache = null;
+      await backend.close();
+    },
+  };
+}
+
+let storage = null;
+
+// The process-wide storage for CONFIG.STORAGE_BACKEND
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+module.exports = {
+  BACKENDS,
+  filterStandDays,
+  createStorage,
+  getStorage,
+};
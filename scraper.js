@@ -2,64 +2,47 @@
 // Optimized for Railway.app with proper error handling and resilience
 
 const puppeteer = require("puppeteer");
-const cheerio = require("cheerio");
 const cron = require("node-cron");
 const express = require("express");
 const fs = require("fs").promises;
 const cors = require("cors");
 const path = require("path");
-
-// ============================================
-// CONFIGURATION
-// ============================================
-
-const CONFIG = {
-  PORT: process.env.PORT || 4000,
-  NODE_ENV: process.env.NODE_ENV || "production",
-  SCRAPE_TIMEOUT: 30000,
-  BROWSER_ARGS: [
-    "--no-sandbox",
-    "--disable-setuid-sandbox",
-    "--disable-dev-shm-usage",
-    "--disable-accelerated-2d-canvas",
-    "--no-first-run",
-    "--no-zygote",
-    "--disable-gpu",
-  ],
-  DATA_DIR: process.env.DATA_DIR || "./data",
-  SCRAPE_SCHEDULE: "0 6 * * *", // 6 AM daily
-  TIMEZONE: "America/Chicago",
-};
-
-// ============================================
-// LOGGING UTILITY
-// ============================================
-
-const logger = {
-  info: (msg, ...args) =>
-    console.log(`[INFO] ${new Date().toISOString()} - ${msg}`, ...args),
-  error: (msg, ...args) =>
-    console.error(`[ERROR] ${new Date().toISOString()} - ${msg}`, ...args),
-  warn: (msg, ...args) =>
-    console.warn(`[WARN] ${new Date().toISOString()} - ${msg}`, ...args),
-  debug: (msg, ...args) => {
-    if (CONFIG.NODE_ENV === "development") {
-      console.log(`[DEBUG] ${new Date().toISOString()} - ${msg}`, ...args);
-    }
-  },
-};
+const CONFIG = require("./lib/config");
+const logger = require("./lib/logger");
+const history = require("./lib/history");
+const search = require("./lib/search");
+const schema = require("./lib/schema");
+const dates = require("./lib/dates");
+const parsers = require("./lib/parsers");
+const pageload = require("./lib/pageload");
+const pool = require("./lib/pool");
+const { loadStandRegistry } = require("./lib/registry");
+const discovery = require("./lib/discovery");
+const { applyLastKnownGood, hasRealFlavors } = require("./lib/fallback");
+const { computeOpenStatus, lastTransition } = require("./lib/hours");
+const geo = require("./lib/geo");
+const alerts = require("./lib/alerts");
+const overrides = require("./lib/overrides");
+const calendar = require("./lib/calendar");
+const jobs = require("./lib/jobs");
+const { mergeDatasets } = require("./lib/dataset");
+const catalog = require("./lib/catalog");
+const metrics = require("./lib/metrics");
+const runlog = require("./lib/runlog");
+const changes = require("./lib/changes");
+const { sendCacheable } = require("./lib/httpcache");
+const { getStorage } = require("./lib/storage");
+const { identifyApiKey, requireScope, getApiKeys } = require("./lib/auth");
+const { createRateLimiter } = require("./lib/ratelimit");
 
 // ============================================
 // BROWSER INSTANCE MANAGEMENT
 // ============================================
 
 let browserInstance = null;
+let browserLaunch = null;
 
-async function getBrowser() {
-  if (browserInstance && browserInstance.isConnected()) {
-    return browserInstance;
-  }
-
+async function launchBrowser() {
   try {
     browserInstance = await puppeteer.launch({
       headless: true,
@@ -70,10 +53,50 @@ async function getBrowser() {
   } catch (error) {
     logger.error("Failed to launch browser:", error.message);
     throw error;
+  } finally {
+    browserLaunch = null;
+  }
+}
+
+// Concurrent callers share one launch
+async function getBrowser() {
+  if (browserInstance && browserInstance.isConnected()) {
+    return browserInstance;
   }
+
+  if (!browserLaunch) browserLaunch = launchBrowser();
+  return browserLaunch;
+}
+
+// Pages that browser scrapes block requests on, and the usage (see
+// createPageLoader) each one is currently loading for
+const pageUsage = new WeakMap();
+
+async function openPage() {
+  const page = await (await getBrowser()).newPage();
+
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    if (pageload.shouldBlockRequest(request.resourceType(), request.url())) {
+      const usage = pageUsage.get(page);
+      if (usage) usage.blockedRequests++;
+      request.abort();
+    } else {
+      request.continue();
+    }
+  });
+
+  return page;
 }
 
+const pagePool = pool.createPagePool({
+  size: CONFIG.BROWSER_POOL_SIZE,
+  openPage: openPage,
+});
+
 async function closeBrowser() {
+  pagePool.clear();
   if (browserInstance) {
     try {
       await browserInstance.close();
@@ -89,821 +112,2003 @@ async function closeBrowser() {
 // UTILITY FUNCTIONS
 // ============================================
 
+// ISO date `daysOffset` days from today in CONFIG.TIMEZONE
 function getStandardDate(daysOffset = 0) {
-  const date = new Date();
-  date.setDate(date.getDate() + daysOffset);
-  return date.toISOString().split("T")[0];
+  return dates.addDays(dates.todayIn(CONFIG.TIMEZONE), daysOffset);
+}
+
+// Live status/opensAt/closesAt from the stand's schedule. A scraper-reported
+// closure (e.g. Gilles closed for winter) always wins over regular hours.
+function withLiveStatus(stand, now = new Date()) {
+  if (stand.status === "closed" || !stand.schedule) {
+    return { ...stand, opensAt: null, closesAt: null };
+  }
+
+  return {
+    ...stand,
+    ...computeOpenStatus(stand.schedule, now, CONFIG.TIMEZONE),
+  };
+}
+
+// When a body built from `stands` with live status last changed: the scrape
+// at `timestamp`, or a stand opening or closing since, whichever is later
+function liveLastModified(stands, timestamp, now = new Date()) {
+  return stands.reduce((latest, stand) => {
+    if (stand.status === "closed" || !stand.schedule) return latest;
+
+    const transition = lastTransition(stand.schedule, now, CONFIG.TIMEZONE);
+    return transition &&
+      (!latest || Date.parse(transition) > Date.parse(latest))
+      ? transition
+      : latest;
+  }, timestamp);
+}
+
+async function loadRenderedHtml(page, url, settleMs) {
+  await page.goto(url, {
+    waitUntil: "networkidle2",
+    timeout: CONFIG.SCRAPE_TIMEOUT,
+  });
+  if (settleMs) await new Promise((resolve) => setTimeout(resolve, settleMs));
+  return page.content();
 }
 
-async function safePageNavigation(page, url, options = {}) {
-  const maxRetries = 3;
-  let lastError;
+// Rendered HTML of `url` from a pooled browser page that skips images, fonts,
+// media and analytics. `settleMs` waits for late client-side rendering;
+// `usage` counts the blocked requests. A page that fails or runs past
+// CONFIG.PAGE_TIMEOUT is closed and the retry gets a fresh one. Every attempt
+// waits its turn for the host (see domainThrottle).
+async function renderPageHtml(url, { settleMs = 0 } = {}, usage) {
+  return pageload.withRetries(url, async () => {
+    const page = await pagePool.acquire();
+    pageUsage.set(page, usage);
+    await domainThrottle(url);
 
-  for (let i = 0; i < maxRetries; i++) {
     try {
-      await page.goto(url, {
-        waitUntil: "networkidle2",
-        timeout: CONFIG.SCRAPE_TIMEOUT,
-        ...options,
-      });
-      return true;
-    } catch (error) {
-      lastError = error;
-      logger.warn(
-        `Navigation attempt ${i + 1} failed for ${url}:`,
-        error.message
+      const html = await pool.withTimeout(
+        loadRenderedHtml(page, url, settleMs),
+        CONFIG.PAGE_TIMEOUT,
+        `Timed out after ${CONFIG.PAGE_TIMEOUT}ms`
       );
-      if (i < maxRetries - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 2000 * (i + 1)));
-      }
+      pageUsage.delete(page);
+      pagePool.release(page);
+      return html;
+    } catch (error) {
+      pageUsage.delete(page);
+      await pagePool.destroy(page);
+      throw error;
     }
+  });
+}
+
+// Resident memory of this process and, with `includeBrowser` while it is
+// running, the browser
+async function sampleMemory(includeBrowser) {
+  const browserProcess =
+    includeBrowser && browserInstance && browserInstance.process();
+  return {
+    rssBytes: process.memoryUsage().rss,
+    browserRssBytes: browserProcess
+      ? await pageload.processTreeRssBytes(browserProcess.pid)
+      : null,
+  };
+}
+
+// Shared by every scraper in a run, so scrapers for different sites load
+// pages side by side without exceeding either limit (see lib/pool.js)
+const scrapeLimiter = pool.createLimiter(CONFIG.SCRAPE_CONCURRENCY);
+const domainThrottle = pool.createDomainThrottle(CONFIG.SCRAPE_DOMAIN_INTERVAL);
+
+// Page loader for one scraper run in `mode` ("http" or "browser"). `usage`
+// collects what the run cost: pages loaded, requests blocked and the peak
+// memory sampled while it ran. `finish()` stops sampling and fills in the
+// peaks; browser memory is only sampled in browser mode.
+function createPageLoader(mode) {
+  const usage = {
+    pages: 0,
+    blockedRequests: 0,
+    peakRssBytes: 0,
+    peakBrowserRssBytes: null,
+  };
+  const stopSampling = mode
+    ? pageload.startMemorySampler(
+        () => sampleMemory(mode === "browser"),
+        CONFIG.MEMORY_SAMPLE_INTERVAL
+      )
+    : null;
+
+  // The host's turn is taken once a limiter slot is free, and again on every
+  // retry, so loads queued for one host don't all start together
+  async function loadPage(url, options) {
+    const html = await scrapeLimiter(() =>
+      mode === "browser"
+        ? renderPageHtml(url, options, usage)
+        : pageload.fetchHtml(url, { throttle: domainThrottle })
+    );
+    usage.pages++;
+    return html;
+  }
+
+  async function finish() {
+    if (!stopSampling) return usage;
+
+    const peaks = await stopSampling();
+    usage.peakRssBytes = peaks.rssBytes || 0;
+    usage.peakBrowserRssBytes = peaks.browserRssBytes ?? null;
+    return usage;
   }
 
-  throw lastError;
+  return { loadPage, usage, finish };
 }
 
 // ============================================
 // 1. KOPP'S FROZEN CUSTARD SCRAPER
 // ============================================
 
-async function scrapeKopps() {
-  let browser, page;
+async function scrapeKopps(stands, loadPage) {
+  try {
+    const html = await loadPage("https://kopps.com/flavor-preview");
+    const flavors = parsers.parseKoppsHtml(html, getStandardDate(0));
+
+    logger.info(`Kopp's scraped successfully - ${flavors.length} days found`);
+
+    // Every Kopp's location serves the same published flavor preview
+    return stands.map((stand) => ({ id: stand.id, flavors: flavors }));
+  } catch (error) {
+    logger.error("Error scraping Kopps:", error.message);
+    return stands.map((stand) => ({ id: stand.id, flavors: [] }));
+  }
+}
+
+// ============================================
+// 2. MURF'S FROZEN CUSTARD SCRAPER
+// ============================================
+
+async function scrapeMurfs(stands, loadPage) {
+  try {
+    // The forecast is rendered client-side after the page loads
+    const html = await loadPage(
+      "https://www.murfsfrozencustard.com/flavorForecast",
+      { settleMs: 2000 }
+    );
+    const flavorData = parsers.parseMurfsHtml(html, getStandardDate(0));
+
+    logger.info(`Murf's scraped - ${flavorData.length} flavors found`);
+
+    return stands.map((stand) => ({ id: stand.id, flavors: flavorData }));
+  } catch (error) {
+    logger.error("Error scraping Murfs:", error.message);
+    return stands.map((stand) => ({ id: stand.id, flavors: [] }));
+  }
+}
+
+// ============================================
+// 3. CULVER'S LOCATIONS SCRAPER
+// ============================================
 
+async function scrapeCulvers(stand, loadPage) {
   try {
-    browser = await getBrowser();
-    page = await browser.newPage();
+    const html = await loadPage(
+      `https://www.culvers.com/restaurants/${stand.slug}`
+    );
+    const flavorData = parsers.parseCulversHtml(html, getStandardDate(0));
 
-    await safePageNavigation(page, "https://kopps.com/flavor-preview");
+    logger.info(
+      `Culver's ${stand.location} scraped - ${flavorData.length} flavors`
+    );
 
-    const html = await page.content();
-    const $ = cheerio.load(html);
+    return { id: stand.id, flavors: flavorData };
+  } catch (error) {
+    logger.error(`Error scraping Culvers ${stand.slug}:`, error.message);
+    return { id: stand.id, flavors: [] };
+  }
+}
 
-    const flavors = [];
-    const today = new Date();
+// Locations load concurrently; loadPage spaces out the requests to
+// culvers.com
+async function scrapeAllCulvers(stands, loadPage) {
+  return Promise.all(stands.map((stand) => scrapeCulvers(stand, loadPage)));
+}
 
-    $("h2").each((i, el) => {
-      const headerText = $(el).text().trim();
-      let date = null;
-      let dayLabel = "";
+// Rebuilds the Culver's location cache from Culver's directory and
+// restaurant pages (see lib/discovery.js)
+async function discoverCulversLocations() {
+  logger.info(
+    `Discovering Culver's locations from ${CONFIG.CULVERS_DIRECTORY_URL}`
+  );
 
-      if (headerText.includes("Today")) {
-        date = getStandardDate(0);
-        dayLabel = "today";
-      } else if (headerText.includes("Tomorrow")) {
-        date = getStandardDate(1);
-        dayLabel = "tomorrow";
-      } else {
-        const dateMatch = headerText.match(/([A-Za-z]+)\s+(\d+)\/(\d+)/);
-        if (dateMatch) {
-          const month = parseInt(dateMatch[2]);
-          const day = parseInt(dateMatch[3]);
-          const year = today.getFullYear();
-          date = new Date(year, month - 1, day).toISOString().split("T")[0];
-          dayLabel = dateMatch[1].toLowerCase();
-        }
-      }
+  const slugs = discovery.parseCulversDirectoryHtml(
+    await pageload.fetchHtml(CONFIG.CULVERS_DIRECTORY_URL, {
+      throttle: domainThrottle,
+    })
+  );
+  if (slugs.length === 0) {
+    throw new Error("No restaurants found in the Culver's directory");
+  }
 
-      if (date) {
-        let currentEl = $(el).next();
-        const dayFlavors = [];
-
-        while (currentEl.length && currentEl[0].tagName !== "H2") {
-          if (currentEl[0].tagName === "H3") {
-            const name = currentEl.text().trim();
-            const description = currentEl.next("p").text().trim();
-
-            if (name) {
-              dayFlavors.push({
-                name: name,
-                description: description || "No description available",
-              });
-            }
-          }
-          currentEl = currentEl.next();
-        }
+  const locations = [];
+  for (const slug of slugs) {
+    const url = `https://www.culvers.com/restaurants/${slug}`;
+    try {
+      const html = await pageload.fetchHtml(url, { throttle: domainThrottle });
+      const location = discovery.parseCulversLocationHtml(html, slug);
 
-        flavors.push({
-          date: date,
-          dayLabel: dayLabel,
-          flavors: dayFlavors,
-        });
+      if (location) {
+        locations.push(location);
+      } else {
+        logger.warn(`No address found for Culver's ${slug}, skipping`);
       }
-    });
+    } catch (error) {
+      logger.warn(`Could not load Culver's ${slug}:`, error.message);
+    }
+  }
 
-    await page.close();
+  const nearby = discovery.filterByRadius(
+    locations,
+    CONFIG.CULVERS_CENTER,
+    CONFIG.CULVERS_RADIUS_MILES
+  );
+  logger.info(
+    `Discovered ${nearby.length} of ${slugs.length} Culver's within ${CONFIG.CULVERS_RADIUS_MILES} miles`
+  );
+  return discovery.saveCulversLocations(nearby);
+}
 
-    logger.info(`Kopp's scraped successfully - ${flavors.length} days found`);
+// The cached Culver's locations. With `refresh`, a stale cache is rediscovered
+// first; if that fails the previous list is kept.
+async function getCulversLocations({ refresh = false } = {}) {
+  const cache = await discovery.loadCulversLocations();
 
-    return [
-      {
-        id: "kopps-greenfield",
-        name: "Kopp's Frozen Custard",
-        location: "Greenfield",
-        address: "7631 W Layton Ave, Greenfield, WI",
-        phone: "414-282-4312",
-        status: "open",
-        hours: "10:30am - 10:30pm",
-        website: "https://kopps.com",
-        flavors: flavors,
-      },
-      {
-        id: "kopps-brookfield",
-        name: "Kopp's Frozen Custard",
-        location: "Brookfield",
-        address: "18880 W Bluemound Rd, Brookfield, WI",
-        phone: "262-789-9490",
-        status: "open",
-        hours: "10:30am - 10:30pm",
-        website: "https://kopps.com",
-        flavors: flavors,
-      },
-      {
-        id: "kopps-glendale",
-        name: "Kopp's Frozen Custard",
-        location: "Glendale",
-        address: "5373 N Port Washington Rd, Glendale, WI",
-        phone: "414-961-3288",
-        status: "open",
-        hours: "10:30am - 10:30pm",
-        website: "https://kopps.com",
-        flavors: flavors,
-      },
-    ];
-  } catch (error) {
-    logger.error("Error scraping Kopps:", error.message);
-    if (page) await page.close();
-    return [];
+  if (refresh && discovery.needsDiscovery(cache)) {
+    try {
+      return (await discoverCulversLocations()).locations;
+    } catch (error) {
+      logger.error("Culver's location discovery failed:", error.message);
+    }
   }
+
+  return cache ? cache.locations : [];
 }
 
 // ============================================
-// 2. MURF'S FROZEN CUSTARD SCRAPER
+// 4. LEON'S FROZEN CUSTARD (STATIC)
 // ============================================
 
-async function scrapeMurfs() {
-  let browser, page;
+function scrapeLeonsStatic(stands) {
+  return stands.map((stand) => ({
+    id: stand.id,
+    flavors: parsers.getLeonsMenu(getStandardDate(0)),
+  }));
+}
+
+// ============================================
+// 5. GILLES FROZEN CUSTARD
+// ============================================
 
+async function scrapeGilles(stands, loadPage) {
   try {
-    browser = await getBrowser();
-    page = await browser.newPage();
+    const html = await loadPage("https://gillesfrozencustard.com");
+    const parsed = parsers.parseGillesHtml(html, getStandardDate(0));
 
-    await safePageNavigation(
-      page,
-      "https://www.murfsfrozencustard.com/flavorForecast"
+    logger.info(
+      parsed.status === "closed"
+        ? "Gilles is closed for winter"
+        : "Gilles scraped successfully"
     );
-    await page.waitForTimeout(2000);
-
-    const flavorData = await page.evaluate(() => {
-      const flavors = [];
-      const headings = document.querySelectorAll("h1, h2, h3, h4");
-
-      headings.forEach((heading) => {
-        const text = heading.textContent.trim();
-
-        if (
-          text.includes("Today") ||
-          text.includes("Mon") ||
-          text.includes("Tue") ||
-          text.includes("Wed") ||
-          text.includes("Thu") ||
-          text.includes("Fri") ||
-          text.includes("Sat") ||
-          text.includes("Sun")
-        ) {
-          let parent = heading.parentElement;
-          while (parent && !parent.querySelector("img")) {
-            parent = parent.parentElement;
-          }
-
-          if (parent) {
-            const flavorName = parent.textContent.match(
-              /([A-Z][A-Za-z\s&']+)(?=\n|Vanilla|Chocolate|Cool mint|Caramel)/
-            );
-            const description = parent.textContent
-              .split("\n")
-              .filter(
-                (line) =>
-                  line.includes("frozen custard") || line.includes("custard,")
-              )[0];
-
-            if (flavorName) {
-              flavors.push({
-                date: text,
-                name: flavorName[0].trim(),
-                description: description ? description.trim() : "",
-              });
-            }
-          }
-        }
-      });
-
-      return flavors;
-    });
 
-    await page.close();
-
-    logger.info(`Murf's scraped - ${flavorData.length} flavors found`);
-
-    return [
-      {
-        id: "murfs-brookfield",
-        name: "Murf's Frozen Custard",
-        location: "Brookfield",
-        address: "12505 W Burleigh Rd, Brookfield, WI",
-        phone: "262-814-6873",
-        status: "open",
-        hours: "10:30am - 9:00pm (Closed Mondays)",
-        website: "https://www.murfsfrozencustard.com",
-        flavors:
-          flavorData.length > 0
-            ? flavorData
-            : [
-                {
-                  date: getStandardDate(0),
-                  dayLabel: "today",
-                  flavors: [
-                    {
-                      name: "Check website",
-                      description:
-                        "Visit murfsfrozencustard.com for today's flavor",
-                    },
-                  ],
-                },
-              ],
-      },
-    ];
+    return stands.map((stand) => ({ id: stand.id, ...parsed }));
   } catch (error) {
-    logger.error("Error scraping Murfs:", error.message);
-    if (page) await page.close();
-    return [
-      {
-        id: "murfs-brookfield",
-        name: "Murf's Frozen Custard",
-        location: "Brookfield",
-        address: "12505 W Burleigh Rd, Brookfield, WI",
-        phone: "262-814-6873",
-        status: "open",
-        hours: "10:30am - 9:00pm (Closed Mondays)",
-        website: "https://www.murfsfrozencustard.com",
-        flavors: [
-          {
-            date: getStandardDate(0),
-            dayLabel: "today",
-            flavors: [
-              {
-                name: "Check website",
-                description: "Visit website for today's flavor",
-              },
-            ],
-          },
-        ],
-      },
-    ];
+    logger.error("Error scraping Gilles:", error.message);
+    return stands.map((stand) => ({
+      id: stand.id,
+      status: "unknown",
+      hours: "Check website",
+      flavors: [],
+    }));
   }
 }
 
 // ============================================
-// 3. CULVER'S LOCATIONS SCRAPER
+// 6. MASTER SCRAPER WITH ERROR RESILIENCE
 // ============================================
 
-const CULVERS_LOCATIONS = [
-  {
-    slug: "west-milwaukee",
-    name: "Culver's",
-    location: "West Milwaukee - Miller Park Way",
-    address: "1641 Miller Parkway, West Milwaukee, WI",
-    phone: "414-645-1011",
+// Normalizes a scraper's stands into the canonical schema (see lib/schema.js).
+// Stands or forecast days that fail validation are left out and reported in
+// `errors` instead of being served. Days with contradictory labels are served
+// with their `conflict` note and reported as well.
+function normalizeScraperResult(scraperName, stands, errors) {
+  const today = getStandardDate(0);
+  const valid = [];
+
+  for (const rawStand of stands) {
+    const stand = schema.normalizeStand(rawStand, today);
+    const standErrors = schema.validateStand(stand);
+
+    if (standErrors.length > 0) {
+      logger.warn(
+        `Invalid stand from ${scraperName}: ${standErrors.join("; ")}`
+      );
+      errors.push({
+        scraper: scraperName,
+        standId: rawStand.id || null,
+        error: "Stand failed schema validation",
+        details: standErrors,
+        timestamp: new Date().toISOString(),
+      });
+      continue;
+    }
+
+    stand.flavors = stand.flavors.filter((day) => {
+      const dayErrors = schema.validateDay(day);
+      if (dayErrors.length === 0) return true;
+
+      logger.warn(
+        `Invalid forecast day for ${stand.id}: ${dayErrors.join("; ")}`
+      );
+      errors.push({
+        scraper: scraperName,
+        standId: stand.id,
+        date: day.date,
+        error: "Forecast day failed schema validation",
+        details: dayErrors,
+        timestamp: new Date().toISOString(),
+      });
+      return false;
+    });
+
+    for (const day of stand.flavors.filter((d) => d.conflict)) {
+      logger.warn(`Contradictory day labels for ${stand.id}: ${day.conflict}`);
+      errors.push({
+        scraper: scraperName,
+        standId: stand.id,
+        date: day.date,
+        error: "Contradictory day labels",
+        details: [day.conflict],
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    valid.push(stand);
+  }
+
+  return valid;
+}
+
+// Scraper strategies referenced by the "strategy" field in the stand
+// registry. Each one receives the registry entries that use it and a
+// `loadPage(url, options)` for its `mode` (from SCRAPER_MODES in
+// lib/pageload.js), and returns
+// { id, flavors } per stand, plus status/hours when the site overrides them.
+// Only sites that render flavors client-side use "browser"; a null mode loads
+// no pages. An empty flavors array means the scrape failed; `placeholder` is
+// shown only if there is no earlier data to fall back on.
+const SCRAPER_STRATEGIES = {
+  kopps: {
+    name: "Kopp's",
+    mode: pageload.SCRAPER_MODES.kopps,
+    fn: scrapeKopps,
+    placeholder: {
+      name: "Check website",
+      description: "Visit kopps.com for today's flavors",
+    },
   },
-  {
-    slug: "milwaukee-good-hope",
-    name: "Culver's",
-    location: "Milwaukee - Good Hope Rd",
-    address: "7515 W Good Hope Rd, Milwaukee, WI",
-    phone: "414-760-0500",
+  murfs: {
+    name: "Murf's",
+    mode: pageload.SCRAPER_MODES.murfs,
+    fn: scrapeMurfs,
+    placeholder: {
+      name: "Check website",
+      description: "Visit murfsfrozencustard.com for today's flavor",
+    },
   },
-  {
-    slug: "milwaukee-fond-du-lac",
+  culvers: {
     name: "Culver's",
-    location: "Milwaukee - Fond du Lac Ave",
-    address: "W Fond du Lac Ave, Milwaukee, WI",
-    phone: "414-444-1300",
+    mode: pageload.SCRAPER_MODES.culvers,
+    fn: scrapeAllCulvers,
+    placeholder: {
+      name: "Check location",
+      description: "Visit Culver's website for today's flavor",
+    },
   },
-  {
-    slug: "milwaukee-capitol",
-    name: "Culver's",
-    location: "Milwaukee - Capitol Drive",
-    address: "1325 E Capitol Dr, Milwaukee, WI",
-    phone: "414-962-0900",
+  "leons-static": {
+    name: "Leon's",
+    mode: pageload.SCRAPER_MODES["leons-static"],
+    fn: scrapeLeonsStatic,
+    placeholder: {
+      name: "Check in-store",
+      description: "Visit Leon's for today's flavors",
+    },
   },
-  {
-    slug: "west-allis",
-    name: "Culver's",
-    location: "West Allis - Layton Ave",
-    address: "575 W Layton Ave, Milwaukee, WI",
-    phone: "414-321-8400",
+  gilles: {
+    name: "Gilles",
+    mode: pageload.SCRAPER_MODES.gilles,
+    fn: scrapeGilles,
+    placeholder: {
+      name: "Check website",
+      description: "Visit website for current status",
+    },
   },
-];
-
-async function scrapeCulvers(locationData) {
-  let browser, page;
-
-  try {
-    browser = await getBrowser();
-    page = await browser.newPage();
-
-    const url = `https://www.culvers.com/restaurants/${locationData.slug}`;
-    await safePageNavigation(page, url);
-    await page.waitForTimeout(2000);
-
-    const flavorData = await page.evaluate(() => {
-      const results = [];
-      const dayHeaders = document.querySelectorAll("h3");
-
-      dayHeaders.forEach((header) => {
-        const headerText = header.textContent.trim();
-
-        if (
-          headerText.includes("Today") ||
-          headerText.includes("Tomorrow") ||
-          headerText.includes("Monday") ||
-          headerText.includes("Tuesday") ||
-          headerText.includes("Wednesday") ||
-          headerText.includes("Thursday") ||
-          headerText.includes("Friday") ||
-          headerText.includes("Saturday") ||
-          headerText.includes("Sunday")
-        ) {
-          const parent = header.parentElement;
-          const flavorLink = parent.querySelector(
-            'a[href*="flavor-of-the-day"]'
-          );
+};
 
-          if (flavorLink) {
-            const flavorName = flavorLink.textContent.trim();
-            const dayLabel = headerText.toLowerCase().includes("today")
-              ? "today"
-              : headerText.toLowerCase().includes("tomorrow")
-              ? "tomorrow"
-              : "";
-
-            results.push({
-              dayLabel: dayLabel,
-              date: headerText,
-              name: flavorName,
-            });
-          }
-        }
+// The stand registry with discovered Culver's locations added
+async function loadRegistry(options) {
+  const locations = await getCulversLocations(options);
+
+  return loadStandRegistry(Object.keys(SCRAPER_STRATEGIES), (entries) =>
+    discovery.mergeCulversLocations(entries, locations)
+  );
+}
+
+// Joins scraped flavors back onto the registry metadata for each stand.
+// Stands the scraper returned nothing for get an empty (failed) result.
+function buildStands(entries, scraped) {
+  return entries.map((entry) => {
+    const result = scraped.find((r) => r.id === entry.id) || { flavors: [] };
+
+    const { strategy, enabled, ...metadata } = entry;
+    return {
+      ...metadata,
+      status: result.status || "open",
+      hours: result.hours || entry.hours,
+      flavors: result.flavors,
+    };
+  });
+}
+
+// Adds a scraper's run to the per-mode totals in the dataset's `scrapeStats`.
+// A mode's scrapers run side by side, so its duration is the wall-clock time
+// from the first one starting to the last one finishing.
+function addScrapeStats(scrapeStats, run) {
+  const { scraper, summary } = run;
+  const stats = scrapeStats[scraper.mode] || {
+    scrapers: [],
+    pages: 0,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: 0,
+    blockedRequests: 0,
+    peakRssBytes: 0,
+    peakBrowserRssBytes: null,
+  };
+
+  stats.scrapers.push(scraper.name);
+  stats.pages += summary.pages;
+  if (run.startedAt < stats.startedAt) stats.startedAt = run.startedAt;
+  if (run.finishedAt > stats.finishedAt) stats.finishedAt = run.finishedAt;
+  stats.durationMs = Date.parse(stats.finishedAt) - Date.parse(stats.startedAt);
+  stats.blockedRequests += summary.blockedRequests;
+  stats.peakRssBytes = Math.max(stats.peakRssBytes, summary.peakRssBytes);
+  if (summary.peakBrowserRssBytes !== null) {
+    stats.peakBrowserRssBytes = Math.max(
+      stats.peakBrowserRssBytes || 0,
+      summary.peakBrowserRssBytes
+    );
+  }
+  scrapeStats[scraper.mode] = stats;
+}
+
+// A broken overrides file shouldn't stop the scrape; it runs without them
+async function loadManualOverrides() {
+  try {
+    return await overrides.listOverrides();
+  } catch (error) {
+    logger.error("Could not load manual overrides:", error.message);
+    return [];
+  }
+}
+
+// Merges the stored overrides into a saved or freshly scraped `data` afresh,
+// so override changes don't wait for the next scrape. A stand left with no
+// days gets its scraper's placeholder.
+async function refreshManualOverrides(data) {
+  const manualOverrides = await loadManualOverrides();
+  const strategies = new Map(
+    (await loadRegistry()).map((entry) => [entry.id, entry.strategy])
+  );
+  const today = getStandardDate(0);
+
+  return {
+    ...data,
+    stands: data.stands.map((stand) => {
+      const merged = overrides.reapplyOverrides(stand, manualOverrides, {
+        today,
+      });
+      if (merged === stand) return stand;
+
+      const scraper = SCRAPER_STRATEGIES[strategies.get(stand.id)];
+      if (merged.flavors.length === 0 && scraper) {
+        merged.flavors = [
+          {
+            date: today,
+            dayLabel: "today",
+            placeholder: true,
+            flavors: [scraper.placeholder],
+          },
+        ];
+      }
+      return catalog.annotateStand(merged);
+    }),
+  };
+}
+
+async function loadPreviousFlavorData() {
+  try {
+    return await loadFlavorData();
+  } catch (error) {
+    logger.warn("Could not load previous flavor data:", error.message);
+    return null;
+  }
+}
+
+// Runs one strategy over its registry entries. Resolves to the stands to
+// serve (with last known good data, manual overrides or placeholders filled
+// in), the errors to report, the run summary passed to `onScraperFinish` and
+// when the scrape itself started and finished.
+async function runScraper(
+  scraper,
+  entries,
+  {
+    previousData,
+    manualOverrides,
+    today,
+    timestamp,
+    onScraperStart,
+    onScraperFinish,
+  }
+) {
+  const errors = [];
+  const served = [];
+  let data = [];
+  let scraperError = null;
+
+  if (onScraperStart) {
+    await onScraperStart(
+      scraper.name,
+      entries.map((entry) => entry.id)
+    );
+  }
+
+  const loader = createPageLoader(scraper.mode);
+  const startedAt = new Date();
+  try {
+    logger.info(
+      `Scraping ${scraper.name}${scraper.mode ? ` (${scraper.mode})` : ""}...`
+    );
+    data = await scraper.fn(entries, loader.loadPage);
+  } catch (error) {
+    logger.error(`Failed to scrape ${scraper.name}:`, error.message);
+    scraperError = error.message;
+    errors.push({
+      scraper: scraper.name,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  await loader.finish();
+  const finishedAt = new Date();
+
+  const stands = normalizeScraperResult(
+    scraper.name,
+    buildStands(entries, data),
+    errors
+  );
+
+  for (const stand of stands) {
+    const merged = overrides.applyOverrides(
+      applyLastKnownGood(stand, previousData, {
+        today,
+        timestamp,
+        placeholder: scraper.placeholder,
+      }),
+      manualOverrides,
+      { today }
+    );
+
+    if (!hasRealFlavors(stand.flavors)) {
+      const serving = merged.flavors.some((day) => day.source === "manual")
+        ? "manual overrides"
+        : merged.stale
+        ? "last known good data"
+        : "placeholder";
+      logger.warn(`No fresh flavors for ${stand.id}, serving ${serving}`);
+      errors.push({
+        scraper: scraper.name,
+        standId: stand.id,
+        error:
+          serving === "placeholder"
+            ? "No fresh flavors and no earlier data; serving placeholder"
+            : `No fresh flavors; serving ${serving}`,
+        timestamp: new Date().toISOString(),
       });
+    }
+
+    served.push(catalog.annotateStand(merged));
+  }
+
+  const fresh = stands.filter((stand) => hasRealFlavors(stand.flavors));
+  const summary = {
+    outcome: scraperError
+      ? "failed"
+      : fresh.length === 0
+      ? "empty"
+      : fresh.length < stands.length
+      ? "partial"
+      : "success",
+    durationMs: finishedAt - startedAt,
+    stands: stands.length,
+    freshStands: fresh.length,
+    flavorsFound: fresh
+      .flatMap((stand) => stand.flavors)
+      .filter((day) => !day.placeholder)
+      .reduce((count, day) => count + day.flavors.length, 0),
+    errors: errors.length,
+    error: scraperError,
+    mode: scraper.mode,
+  };
+  if (scraper.mode) Object.assign(summary, loader.usage);
+  metrics.recordScraperRun(scraper.name, summary);
+
+  if (onScraperFinish) {
+    await onScraperFinish(scraper.name, summary);
+  }
+
+  return {
+    scraper,
+    stands: served,
+    errors,
+    summary,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+  };
+}
+
+// `standIds` limits the scrape to those registry entries (all when omitted).
+// `onScraperStart(name, standIds)` and `onScraperFinish(name, summary)` let a
+// scrape job report progress as each strategy runs.
+async function scrapeAllStands({
+  standIds,
+  onScraperStart,
+  onScraperFinish,
+} = {}) {
+  logger.info(
+    standIds
+      ? `Starting targeted scrape: ${standIds.join(", ")}`
+      : "Starting Milwaukee Custard Tracker scrape"
+  );
+
+  const results = {
+    timestamp: new Date().toISOString(),
+    lastUpdated: new Date().toLocaleString("en-US", {
+      timeZone: CONFIG.TIMEZONE,
+    }),
+    totalLocations: 0,
+    stands: [],
+    errors: [],
+    scrapeStats: {},
+  };
+
+  // Full scrapes also refresh the Culver's location list when it is stale
+  const registry = (await loadRegistry({ refresh: !standIds })).filter(
+    (entry) => !standIds || standIds.includes(entry.id)
+  );
+  const previousData = await loadPreviousFlavorData();
+  const manualOverrides = await loadManualOverrides();
+  const today = getStandardDate(0);
+
+  // Group stands by strategy, keeping registry order
+  const groups = new Map();
+  for (const entry of registry) {
+    if (!groups.has(entry.strategy)) groups.set(entry.strategy, []);
+    groups.get(entry.strategy).push(entry);
+  }
+
+  // Scrapers run side by side; their results are added in registry order so
+  // the dataset comes out the same however the scrapes interleave
+  const runs = await Promise.all(
+    [...groups].map(([strategy, entries]) =>
+      runScraper(SCRAPER_STRATEGIES[strategy], entries, {
+        previousData,
+        manualOverrides,
+        today,
+        timestamp: results.timestamp,
+        onScraperStart,
+        onScraperFinish,
+      })
+    )
+  );
+
+  for (const run of runs) {
+    results.stands.push(...run.stands);
+    results.errors.push(...run.errors);
+    if (run.scraper.mode) {
+      addScrapeStats(results.scrapeStats, run);
+    }
+  }
+
+  results.totalLocations = results.stands.length;
+
+  // Chromium holds on to a few hundred MB; relaunch it for the next scrape
+  // rather than keeping it idle until then
+  await closeBrowser();
+
+  logger.info(
+    `Scraping complete - ${results.totalLocations} locations, ${results.errors.length} errors`
+  );
+
+  return results;
+}
+
+// ============================================
+// 7. FILE SYSTEM OPERATIONS
+// ============================================
+
+async function ensureDataDirectory() {
+  try {
+    await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
+    logger.info(`Data directory ensured: ${CONFIG.DATA_DIR}`);
+  } catch (error) {
+    logger.error("Failed to create data directory:", error.message);
+    throw error;
+  }
+}
+
+// Datasets are persisted through the configured storage backend (see
+// lib/storage.js), which keeps the current one in memory. Callers must not
+// mutate what loadFlavorData returns.
+async function saveFlavorData(data) {
+  try {
+    await ensureDataDirectory();
+    const previousData = await loadPreviousFlavorData();
+    await getStorage().saveDataset(data);
+    logger.info(`Flavor data saved (${getStorage().name} storage)`);
+
+    try {
+      await history.archiveFlavorData(data, getStandardDate(0));
+    } catch (error) {
+      logger.error("Failed to archive flavor history:", error.message);
+    }
+
+    try {
+      await catalog.recordObservedFlavors(data, getStandardDate(0));
+    } catch (error) {
+      logger.error("Failed to update the flavor catalog:", error.message);
+    }
+
+    // The very first save has nothing to compare against
+    if (previousData && previousData.stands.length > 0) {
+      try {
+        const detected = changes.diffDatasets(previousData, data, {
+          today: getStandardDate(0),
+          timestamp: data.timestamp,
+        });
+        await changes.appendChanges(detected);
+        logger.info(`Detected ${detected.length} flavor changes`);
+      } catch (error) {
+        logger.error("Failed to record flavor changes:", error.message);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    logger.error("Failed to save flavor data:", error.message);
+    throw error;
+  }
+}
+
+async function loadFlavorData() {
+  const data = await getStorage().loadDataset();
+
+  if (!data) {
+    logger.warn("No saved flavor data, returning empty dataset");
+    return {
+      timestamp: new Date().toISOString(),
+      lastUpdated: "No data available",
+      totalLocations: 0,
+      stands: [],
+      errors: [],
+    };
+  }
+  return data;
+}
+
+// ============================================
+// 8. SCRAPE JOBS AND CRON SCHEDULER
+// ============================================
+
+// Sends flavor alert webhooks for a freshly saved dataset. Alert failures are
+// logged but never fail the scrape itself.
+async function notifySubscribers(data) {
+  try {
+    return await alerts.processAlerts(data, getStandardDate(0));
+  } catch (error) {
+    logger.error("Failed to process flavor alerts:", error.message);
+    return null;
+  }
+}
+
+// Id of the job this process is running, so shutdown can release its lock
+let activeJobId = null;
+
+// Alert webhooks go out once the job has finished and released the lock, so
+// slow or failing receivers never hold up scraping. The job's result gains an
+// `alerts` summary when they are done.
+function sendAlertsInBackground(job, data) {
+  notifySubscribers(data).then(async (summary) => {
+    if (!summary) return;
+    job.result.alerts = summary;
+    try {
+      await jobs.saveJob(job);
+    } catch (error) {
+      logger.error(`Failed to save scrape job ${job.id}:`, error.message);
+    }
+  });
+}
+
+async function executeScrapeJob(job) {
+  const stopHeartbeat = jobs.startLockHeartbeat(job.id);
+  activeJobId = job.id;
+  let savedData = null;
+
+  try {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    await jobs.saveJob(job);
+
+    const scraped = await scrapeAllStands({
+      standIds: job.target && job.target.standIds,
+      onScraperStart: async (name, standIds) => {
+        job.scrapers.push({
+          name,
+          status: "running",
+          standIds,
+          startedAt: new Date().toISOString(),
+          finishedAt: null,
+        });
+        await jobs.saveJob(job);
+      },
+      onScraperFinish: async (name, summary) => {
+        const progress = job.scrapers.find((s) => s.name === name);
+        Object.assign(progress, summary, {
+          status:
+            summary.outcome === "failed" || summary.outcome === "empty"
+              ? "failed"
+              : "completed",
+          finishedAt: new Date().toISOString(),
+        });
+        await jobs.saveJob(job);
+      },
+    });
+
+    // Targeted scrapes only refresh their stands within the saved dataset.
+    // Overrides changed while the scrape ran are merged in before saving.
+    const data = await refreshManualOverrides(
+      job.target
+        ? mergeDatasets(
+            await loadFlavorData(),
+            scraped,
+            job.scrapers.map((s) => s.name)
+          )
+        : scraped
+    );
+    await saveFlavorData(data);
+    savedData = data;
+
+    job.status = "completed";
+    job.result = {
+      totalLocations: data.totalLocations,
+      errors: data.errors,
+      alerts: null,
+    };
+    logger.info(`Scrape job ${job.id} completed`);
+  } catch (error) {
+    logger.error(`Scrape job ${job.id} failed:`, error.message);
+    job.status = "failed";
+    job.error = error.message;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    stopHeartbeat();
+
+    try {
+      await jobs.saveJob(job);
+      await jobs.pruneJobs();
+      await getStorage().appendRun(runlog.buildRun(job));
+    } catch (error) {
+      logger.error(`Failed to save scrape job ${job.id}:`, error.message);
+    }
+
+    await jobs.releaseScrapeLock(job.id);
+    activeJobId = null;
+  }
+
+  if (savedData) sendAlertsInBackground(job, savedData);
+  return job;
+}
+
+// Takes the global scrape lock and runs a scrape in the background. `target`
+// ({ scrapers, standIds }) limits it to some stands; omit it for a full
+// scrape. Resolves to { job, done } where `done` settles when the scrape
+// finishes, or to { job: null, holder } when another scrape (here or on
+// another replica) holds the lock.
+async function startScrapeJob(trigger, target = null) {
+  const job = jobs.createJob(trigger, target);
+  const lock = await jobs.acquireScrapeLock(job.id);
+
+  if (!lock.acquired) {
+    return { job: null, holder: lock.holder };
+  }
+
+  try {
+    await jobs.saveJob(job);
+  } catch (error) {
+    await jobs.releaseScrapeLock(job.id);
+    throw error;
+  }
+
+  logger.info(`Scrape job ${job.id} started (${trigger})`);
+  return { job, done: executeScrapeJob(job) };
+}
+
+function initCronScheduler() {
+  cron.schedule(
+    CONFIG.SCRAPE_SCHEDULE,
+    async () => {
+      logger.info("Running scheduled flavor scrape");
+
+      try {
+        const { job, holder, done } = await startScrapeJob("cron");
+        if (!job) {
+          logger.warn(
+            `Skipping scheduled scrape, job ${
+              holder && holder.jobId
+            } is running`
+          );
+          return;
+        }
+        await done;
+      } catch (error) {
+        logger.error("Scheduled scrape failed:", error.message);
+      }
+    },
+    {
+      timezone: CONFIG.TIMEZONE,
+    }
+  );
+
+  logger.info(
+    `Cron scheduler initialized: ${CONFIG.SCRAPE_SCHEDULE} ${CONFIG.TIMEZONE}`
+  );
+}
+
+// ============================================
+// 9. EXPRESS API SERVER
+// ============================================
+
+const app = express();
+
+app.set("trust proxy", CONFIG.TRUST_PROXY);
+
+// Middleware. Metrics come first so requests rejected by the body parser or
+// the rate limiters are timed and counted too.
+app.use(metrics.httpMetricsMiddleware);
+app.use(express.json());
+app.use(
+  cors({
+    origin: CONFIG.CORS_ORIGINS.includes("*") ? "*" : CONFIG.CORS_ORIGINS,
+    exposedHeaders: [
+      "Location",
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+    ],
+  })
+);
+app.use(identifyApiKey);
+// Health checks from the platform and uptime monitors are never limited
+app.use(
+  createRateLimiter({
+    name: "public",
+    limits: {
+      perIp: CONFIG.RATE_LIMIT_PUBLIC_PER_IP,
+      perKey: CONFIG.RATE_LIMIT_PUBLIC_PER_KEY,
+    },
+    skip: (req) => req.path === "/api/health",
+  })
+);
+
+// Administrative routes get a tighter limit (per key, or per IP for requests
+// without a valid key) ahead of the scope check
+const adminLimiter = createRateLimiter({
+  name: "admin",
+  limits: {
+    perIp: CONFIG.RATE_LIMIT_ADMIN_PER_IP,
+    perKey: CONFIG.RATE_LIMIT_ADMIN_PER_KEY,
+  },
+});
+
+function requireApiKey(scope) {
+  return [adminLimiter, requireScope(scope)];
+}
+
+// Request logging middleware
+app.use((req, res, next) => {
+  logger.info(`${req.method} ${req.path}`);
+  next();
+});
+
+// Root route
+app.get("/", (req, res) => {
+  res.json({
+    status: "OK",
+    service: "Milwaukee Custard Tracker API",
+    version: "1.0.0",
+    environment: CONFIG.NODE_ENV,
+    timestamp: new Date().toISOString(),
+    endpoints: {
+      health: "GET /api/health",
+      metrics: "GET /metrics",
+      scrapeRuns: "GET /api/scrapes?limit=&scraper=",
+      allFlavors: "GET /api/flavors?openNow=true&tag=&excludeAllergen=",
+      catalog: "GET /api/catalog",
+      changes: "GET /api/changes?since=&locationId=&type=",
+      locationFlavors: "GET /api/flavors/:locationId?from=&to=",
+      locationCalendar: "GET /api/flavors/:locationId/calendar.ics",
+      flavorCalendar: "GET /api/calendar.ics?flavor=",
+      locationHistory: "GET /api/history/:locationId?from=&to=&flavor=",
+      dateHistory: "GET /api/history/date/:date",
+      search: "GET /api/search?q=&date=&chain=&locationId=",
+      nearby: "GET /api/nearby?lat=&lng=&radiusMiles=&flavor=",
+      geojson: "GET /api/stands.geojson",
+      triggerScrape: "POST /api/scrape?stands= (API key: scrape)",
+      triggerScraper: "POST /api/scrape/:scraperName?stands= (API key: scrape)",
+      scrapeJobs: "GET /api/scrape/jobs (API key: scrape)",
+      scrapeJob: "GET /api/scrape/jobs/:id (API key: scrape)",
+      backups: "GET /api/admin/backups (API key: admin)",
+      restoreBackup: "POST /api/admin/backups/:name/restore (API key: admin)",
+      overrides: "GET /api/admin/overrides?locationId=, POST (API key: admin)",
+      override: "DELETE /api/admin/overrides/:id (API key: admin)",
+      subscriptions:
+        "POST /api/subscriptions (API key: subscribe), GET (API key: admin)",
+      subscription: "GET|DELETE /api/subscriptions/:id",
+      subscriptionDeliveries: "GET /api/subscriptions/:id/deliveries",
+    },
+  });
+});
+
+// Health check endpoint
+app.get("/api/health", (req, res) => {
+  res.json({
+    status: "healthy",
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    memory: process.memoryUsage(),
+  });
+});
+
+// "a,b" or repeated query parameters as a list
+function parseListParam(value) {
+  return [value]
+    .flat()
+    .filter((v) => typeof v === "string")
+    .flatMap((v) => v.split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Prometheus metrics
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.renderMetrics());
+});
+
+// Recent scrape runs with per-scraper outcomes, newest first
+app.get("/api/scrapes", async (req, res) => {
+  try {
+    if (
+      req.query.scraper !== undefined &&
+      typeof req.query.scraper !== "string"
+    ) {
+      return res.status(400).json({
+        error: "Invalid scraper",
+        message: "Provide a single ?scraper=",
+      });
+    }
+
+    const limit = Math.min(
+      parseInt(req.query.limit) || 20,
+      CONFIG.RUN_LOG_LIMIT
+    );
+    const runs = await getStorage().listRuns({
+      limit,
+      scraper: req.query.scraper,
+    });
+
+    res.json({ totalRuns: runs.length, runs });
+  } catch (error) {
+    logger.error("Error loading scrape runs:", error.message);
+    res.status(500).json({
+      error: "Failed to load scrape runs",
+      message: error.message,
+    });
+  }
+});
+
+// Flavor changes detected between scrapes, newest first
+app.get("/api/changes", async (req, res) => {
+  try {
+    const { since, locationId, type } = req.query;
+
+    if (since && isNaN(Date.parse(since))) {
+      return res.status(400).json({
+        error: "Invalid date",
+        message: "since must be an ISO date or timestamp",
+      });
+    }
+    if (type && !changes.CHANGE_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: "Invalid type",
+        message: `type must be one of: ${changes.CHANGE_TYPES.join(", ")}`,
+      });
+    }
+
+    const changeList = await changes.getChanges({ since, locationId, type });
+
+    res.json({
+      since: since || null,
+      totalChanges: changeList.length,
+      changes: changeList,
+    });
+  } catch (error) {
+    logger.error("Error loading flavor changes:", error.message);
+    res.status(500).json({
+      error: "Failed to load flavor changes",
+      message: error.message,
+    });
+  }
+});
+
+// Get all flavors
+app.get("/api/flavors", async (req, res) => {
+  try {
+    const data = await loadFlavorData();
+    const now = new Date();
+    let stands = data.stands.map((stand) => withLiveStatus(stand, now));
+
+    if (req.query.openNow === "true") {
+      stands = stands.filter((stand) => stand.status === "open");
+    }
+
+    const tags = parseListParam(req.query.tag);
+    const excludeAllergens = parseListParam(req.query.excludeAllergen);
+    const unknown = [
+      ...tags.filter((tag) => !catalog.TAGS.includes(tag)),
+      ...excludeAllergens.filter((a) => !catalog.ALLERGENS.includes(a)),
+    ];
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: "Invalid filter",
+        message: `Unknown tags or allergens: ${unknown.join(
+          ", "
+        )}. Tags: ${catalog.TAGS.join(
+          ", "
+        )}. Allergens: ${catalog.ALLERGENS.join(", ")}`,
+      });
+    }
+
+    if (tags.length > 0 || excludeAllergens.length > 0) {
+      stands = stands
+        .map((stand) =>
+          catalog.filterStandFlavors(stand, { tags, excludeAllergens })
+        )
+        .filter(Boolean);
+    }
+
+    // Live status changes the body between scrapes, so Last-Modified covers
+    // every stand's latest opening or closing too (openNow depends on all)
+    sendCacheable(
+      req,
+      res,
+      { ...data, totalLocations: stands.length, stands: stands },
+      { lastModified: liveLastModified(data.stands, data.timestamp, now) }
+    );
+  } catch (error) {
+    logger.error("Error loading flavors:", error.message);
+    res.status(500).json({
+      error: "Failed to load flavor data",
+      message: error.message,
+    });
+  }
+});
+
+// Flavors the stands have served, with their aliases, tags and allergens
+app.get("/api/catalog", async (req, res) => {
+  try {
+    const flavors = await catalog.listObservedFlavors();
+
+    res.json({
+      tags: catalog.TAGS,
+      allergens: catalog.ALLERGENS,
+      totalFlavors: flavors.length,
+      flavors: flavors,
+    });
+  } catch (error) {
+    logger.error("Error loading flavor catalog:", error.message);
+    res.status(500).json({
+      error: "Failed to load flavor catalog",
+      message: error.message,
+    });
+  }
+});
+
+// Get specific location
+// `from` and `to` (YYYY-MM-DD) limit the forecast days returned
+app.get("/api/flavors/:locationId", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !dates.isIsoDate(from)) || (to && !dates.isIsoDate(to))) {
+      return res.status(400).json({
+        error: "Invalid date range",
+        message: "Expected from and to as YYYY-MM-DD",
+        from: from,
+        to: to,
+      });
+    }
+
+    const found = await getStorage().loadStand(req.params.locationId, {
+      from,
+      to,
+    });
+
+    if (found) {
+      const now = new Date();
+      sendCacheable(req, res, withLiveStatus(found.stand, now), {
+        lastModified: liveLastModified([found.stand], found.timestamp, now),
+      });
+    } else {
+      res.status(404).json({
+        error: "Location not found",
+        locationId: req.params.locationId,
+      });
+    }
+  } catch (error) {
+    logger.error("Error loading location:", error.message);
+    res.status(500).json({
+      error: "Failed to load location data",
+      message: error.message,
+    });
+  }
+});
+
+// Search flavors across all stands and dates
+app.get("/api/search", async (req, res) => {
+  try {
+    if (req.query.q !== undefined && typeof req.query.q !== "string") {
+      return res.status(400).json({
+        error: "Invalid search query",
+        message: "Provide a single ?q=",
+      });
+    }
+
+    const q = (req.query.q || "").trim();
+
+    if (!q) {
+      return res.status(400).json({
+        error: "Missing search query",
+        message: "Provide a flavor to search for with ?q=",
+      });
+    }
+
+    const data = await loadFlavorData();
+    const results = search.searchFlavors(data, {
+      q,
+      date: req.query.date,
+      chain: req.query.chain,
+      locationId: req.query.locationId,
+    });
+
+    res.json({
+      query: q,
+      totalResults: results.length,
+      results: results,
+    });
+  } catch (error) {
+    logger.error("Error searching flavors:", error.message);
+    res.status(500).json({
+      error: "Failed to search flavors",
+      message: error.message,
+    });
+  }
+});
+
+// Stands near a point, nearest first, optionally serving a flavor today
+app.get("/api/nearby", async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusMiles =
+      req.query.radiusMiles === undefined
+        ? 10
+        : parseFloat(req.query.radiusMiles);
+
+    if (
+      !(Math.abs(lat) <= 90) ||
+      !(Math.abs(lng) <= 180) ||
+      !(radiusMiles > 0)
+    ) {
+      return res.status(400).json({
+        error: "Invalid location",
+        message:
+          "Provide numeric lat, lng and an optional positive radiusMiles",
+      });
+    }
+
+    const data = await loadFlavorData();
+    const today = getStandardDate(0);
+    const now = new Date();
+    let stands = geo.findNearby(data.stands, { lat, lng, radiusMiles });
+
+    if (req.query.flavor) {
+      const matchingIds = new Set(
+        search
+          .searchFlavors(data, { q: req.query.flavor, date: today })
+          .map((result) => result.standId)
+      );
+      stands = stands.filter((stand) => matchingIds.has(stand.id));
+    }
+
+    res.json({
+      origin: { lat, lng },
+      radiusMiles: radiusMiles,
+      flavor: req.query.flavor || null,
+      totalResults: stands.length,
+      stands: stands.map((stand) => ({
+        ...withLiveStatus(stand, now),
+        todaysFlavors: geo.getTodaysFlavors(stand, today),
+      })),
+    });
+  } catch (error) {
+    logger.error("Error finding nearby stands:", error.message);
+    res.status(500).json({
+      error: "Failed to find nearby stands",
+      message: error.message,
+    });
+  }
+});
+
+// All stands as GeoJSON points with today's flavors, for map views
+app.get("/api/stands.geojson", async (req, res) => {
+  try {
+    const data = await loadFlavorData();
+    const now = new Date();
+    const stands = data.stands.map((stand) => withLiveStatus(stand, now));
+
+    res
+      .type("application/geo+json")
+      .send(JSON.stringify(geo.toGeoJSON(stands, getStandardDate(0))));
+  } catch (error) {
+    logger.error("Error building GeoJSON:", error.message);
+    res.status(500).json({
+      error: "Failed to build GeoJSON",
+      message: error.message,
+    });
+  }
+});
+
+// iCalendar feed of one stand's forecast
+app.get("/api/flavors/:locationId/calendar.ics", async (req, res) => {
+  try {
+    const data = await loadFlavorData();
+    const stand = data.stands.find((s) => s.id === req.params.locationId);
+
+    if (!stand) {
+      return res.status(404).json({
+        error: "Location not found",
+        locationId: req.params.locationId,
+      });
+    }
+
+    res.type("text/calendar").send(
+      calendar.buildCalendar({
+        name: `${stand.name} (${stand.location}) Flavors`,
+        timestamp: data.timestamp,
+        events: calendar.buildStandEvents(stand),
+      })
+    );
+  } catch (error) {
+    logger.error("Error building location calendar:", error.message);
+    res.status(500).json({
+      error: "Failed to build calendar",
+      message: error.message,
+    });
+  }
+});
+
+// iCalendar feed of every forecast day serving a flavor
+app.get("/api/calendar.ics", async (req, res) => {
+  try {
+    if (
+      req.query.flavor !== undefined &&
+      typeof req.query.flavor !== "string"
+    ) {
+      return res.status(400).json({
+        error: "Invalid flavor",
+        message: "Provide a single ?flavor=",
+      });
+    }
+
+    const flavor = (req.query.flavor || "").trim();
+
+    if (!flavor) {
+      return res.status(400).json({
+        error: "Missing flavor",
+        message: "Provide a flavor to follow with ?flavor=",
+      });
+    }
+
+    const data = await loadFlavorData();
+    const events = data.stands.flatMap((stand) =>
+      calendar.buildStandEvents(stand, {
+        flavorFilter: (f) => search.matchesFlavor(flavor, f),
+        uidSuffix: calendar.slugify(flavor),
+      })
+    );
+
+    res.type("text/calendar").send(
+      calendar.buildCalendar({
+        name: `${flavor} Custard Forecast`,
+        timestamp: data.timestamp,
+        events: events.sort((a, b) => a.date.localeCompare(b.date)),
+      })
+    );
+  } catch (error) {
+    logger.error("Error building flavor calendar:", error.message);
+    res.status(500).json({
+      error: "Failed to build calendar",
+      message: error.message,
+    });
+  }
+});
+
+// Get everything served on a past date
+app.get("/api/history/date/:date", async (req, res) => {
+  try {
+    if (!dates.isIsoDate(req.params.date)) {
+      return res.status(400).json({
+        error: "Invalid date",
+        message: "Expected YYYY-MM-DD",
+        date: req.params.date,
+      });
+    }
+
+    const archive = await history.loadArchive(req.params.date);
+
+    if (archive) {
+      res.json(archive);
+    } else {
+      res.status(404).json({
+        error: "No history for date",
+        date: req.params.date,
+      });
+    }
+  } catch (error) {
+    logger.error("Error loading history:", error.message);
+    res.status(500).json({
+      error: "Failed to load history",
+      message: error.message,
+    });
+  }
+});
+
+// Get a location's flavor history, optionally filtered by flavor name
+app.get("/api/history/:locationId", async (req, res) => {
+  try {
+    const to = req.query.to || getStandardDate(0);
+
+    if (
+      !dates.isIsoDate(to) ||
+      (req.query.from !== undefined && !dates.isIsoDate(req.query.from))
+    ) {
+      return res.status(400).json({
+        error: "Invalid date range",
+        message: "Expected from and to as YYYY-MM-DD",
+        from: req.query.from,
+        to: to,
+      });
+    }
+
+    if (
+      req.query.flavor !== undefined &&
+      typeof req.query.flavor !== "string"
+    ) {
+      return res.status(400).json({
+        error: "Invalid flavor",
+        message: "Expected a single flavor name",
+      });
+    }
+
+    const from =
+      req.query.from || dates.addDays(to, -CONFIG.HISTORY_RETENTION_DAYS);
+    const days = await history.getLocationHistory(req.params.locationId, {
+      from,
+      to,
+      flavor: req.query.flavor,
+    });
+
+    res.json({
+      locationId: req.params.locationId,
+      from: from,
+      to: to,
+      totalDays: days.length,
+      days: days,
+    });
+  } catch (error) {
+    logger.error("Error loading location history:", error.message);
+    res.status(500).json({
+      error: "Failed to load location history",
+      message: error.message,
+    });
+  }
+});
+
+// Works out which stands a manual scrape covers: everything, one scraper's
+// stands (`scraperName` is a registry strategy such as "gilles"), and/or the
+// stands listed in `?stands=`. Returns { target } or { status, error, message }.
+async function resolveScrapeTarget(scraperName, standsParam) {
+  if (!scraperName && !standsParam) return { target: null };
+
+  if (scraperName && !SCRAPER_STRATEGIES[scraperName]) {
+    return {
+      status: 404,
+      error: "Scraper not found",
+      message: `Unknown scraper "${scraperName}". Available: ${Object.keys(
+        SCRAPER_STRATEGIES
+      ).join(", ")}`,
+    };
+  }
+
+  const entries = (await loadRegistry()).filter(
+    (entry) => !scraperName || entry.strategy === scraperName
+  );
+  let selected = entries;
+
+  if (standsParam) {
+    const ids = String(standsParam)
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+    const unknown = ids.filter((id) => !entries.some((e) => e.id === id));
+
+    if (ids.length === 0 || unknown.length > 0) {
+      return {
+        status: 400,
+        error: "Invalid stands",
+        message: scraperName
+          ? `Not ${SCRAPER_STRATEGIES[scraperName].name} stands: ${unknown.join(
+              ", "
+            )}`
+          : `Unknown or disabled stands: ${unknown.join(", ") || "(none)"}`,
+      };
+    }
+    selected = entries.filter((entry) => ids.includes(entry.id));
+  }
+
+  return {
+    target: {
+      scrapers: [...new Set(selected.map((entry) => entry.strategy))],
+      standIds: selected.map((entry) => entry.id),
+    },
+  };
+}
 
-      return results;
-    });
+// Manual scrape trigger, for every stand or a subset of them (see
+// resolveScrapeTarget). The scrape runs as a background job; poll the
+// returned statusUrl for progress.
+async function handleScrapeRequest(req, res) {
+  try {
+    const { target, ...invalid } = await resolveScrapeTarget(
+      req.params.scraperName,
+      req.query.stands
+    );
 
-    await page.close();
+    if (invalid.status) {
+      return res
+        .status(invalid.status)
+        .json({ error: invalid.error, message: invalid.message });
+    }
 
     logger.info(
-      `Culver's ${locationData.location} scraped - ${flavorData.length} flavors`
+      target
+        ? `Targeted scrape triggered via API: ${target.standIds.join(", ")}`
+        : "Manual scrape triggered via API"
     );
+    const { job, holder } = await startScrapeJob("manual", target);
 
-    return {
-      ...locationData,
-      id: `culvers-${locationData.slug}`,
-      status: "open",
-      hours: "10:00am - 11:00pm",
-      website: url,
-      flavors:
-        flavorData.length > 0
-          ? flavorData
-          : [
-              {
-                date: getStandardDate(0),
-                dayLabel: "today",
-                flavors: [
-                  {
-                    name: "Check location",
-                    description: "Visit Culver's website for today's flavor",
-                  },
-                ],
-              },
-            ],
-    };
+    if (!job) {
+      return res.status(409).json({
+        error: "Scrape already running",
+        message: "Another scrape holds the lock; try again once it finishes",
+        jobId: holder && holder.jobId,
+      });
+    }
+
+    res
+      .status(202)
+      .location(`/api/scrape/jobs/${job.id}`)
+      .json({
+        success: true,
+        message: "Scrape started",
+        jobId: job.id,
+        status: job.status,
+        target: job.target,
+        statusUrl: `/api/scrape/jobs/${job.id}`,
+      });
   } catch (error) {
-    logger.error(`Error scraping Culvers ${locationData.slug}:`, error.message);
-    if (page) await page.close();
-    return {
-      ...locationData,
-      id: `culvers-${locationData.slug}`,
-      status: "open",
-      hours: "10:00am - 11:00pm",
-      website: `https://www.culvers.com/restaurants/${locationData.slug}`,
-      flavors: [
-        {
-          date: getStandardDate(0),
-          dayLabel: "today",
-          flavors: [
-            {
-              name: "Check location",
-              description: "Visit location for today's flavor",
-            },
-          ],
-        },
-      ],
-    };
+    logger.error("Manual scrape failed:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
   }
 }
 
-async function scrapeAllCulvers() {
-  const results = [];
+app.post("/api/scrape", requireApiKey("scrape"), handleScrapeRequest);
+app.post(
+  "/api/scrape/:scraperName",
+  requireApiKey("scrape"),
+  handleScrapeRequest
+);
+
+// Recent scrape jobs, newest first
+app.get("/api/scrape/jobs", requireApiKey("scrape"), async (req, res) => {
+  try {
+    const jobList = await jobs.listJobs();
+    const lock = await jobs.readLock();
 
-  for (const location of CULVERS_LOCATIONS) {
-    const data = await scrapeCulvers(location);
-    results.push(data);
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    res.json({
+      running: lock && lock.expiresAt > Date.now() ? lock.jobId : null,
+      jobs: jobList.map(({ scrapers, result, ...job }) => job),
+    });
+  } catch (error) {
+    logger.error("Error loading scrape jobs:", error.message);
+    res.status(500).json({
+      error: "Failed to load scrape jobs",
+      message: error.message,
+    });
   }
+});
 
-  return results;
-}
+// Scrape job status with per-scraper progress
+app.get("/api/scrape/jobs/:id", requireApiKey("scrape"), async (req, res) => {
+  try {
+    const job = await jobs.loadJob(req.params.id);
 
-// ============================================
-// 4. LEON'S FROZEN CUSTARD (STATIC)
-// ============================================
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+        message: `No scrape job with id: ${req.params.id}`,
+      });
+    }
 
-function scrapeLeonsStatic() {
-  return [
-    {
-      id: "leons-milwaukee",
-      name: "Leon's Frozen Custard",
-      location: "Milwaukee",
-      address: "3131 S 27th St, Milwaukee, WI",
-      phone: "414-383-1784",
-      status: "open",
-      hours: "11:00am - 11:00pm",
-      website: "https://leonsfrozencustardmke.com",
-      flavors: [
-        {
-          date: getStandardDate(0),
-          dayLabel: "always",
-          flavors: [
-            {
-              name: "Vanilla",
-              description: "Classic vanilla custard (always available)",
-            },
-            {
-              name: "Chocolate",
-              description: "Rich chocolate custard (always available)",
-            },
-            {
-              name: "Butter Pecan",
-              description: "Butter pecan custard (always available)",
-            },
-            {
-              name: "Weekend Special",
-              description: "Check in-store or Facebook for weekend specials",
-            },
-          ],
-        },
-      ],
-    },
-  ];
-}
+    res.json(job);
+  } catch (error) {
+    logger.error("Error loading scrape job:", error.message);
+    res.status(500).json({
+      error: "Failed to load scrape job",
+      message: error.message,
+    });
+  }
+});
 
-// ============================================
-// 5. GILLES FROZEN CUSTARD
-// ============================================
+// List dataset backups, newest first
+app.get("/api/admin/backups", requireApiKey("admin"), async (req, res) => {
+  try {
+    const backups = await getStorage().listBackups();
 
-async function scrapeGilles() {
-  let browser, page;
-
-  try {
-    browser = await getBrowser();
-    page = await browser.newPage();
-
-    await safePageNavigation(page, "https://gillesfrozencustard.com");
-
-    const html = await page.content();
-    const $ = cheerio.load(html);
-
-    const bodyText = $("body").text().toLowerCase();
-
-    if (bodyText.includes("closed") && bodyText.includes("winter")) {
-      await page.close();
-      logger.info("Gilles is closed for winter");
-      return [
-        {
-          id: "gilles-milwaukee",
-          name: "Gilles Frozen Custard",
-          location: "Milwaukee",
-          address: "7515 W Bluemound Rd, Milwaukee, WI",
-          phone: "414-453-4875",
-          status: "closed",
-          hours: "Reopens January 8th, 2026",
-          website: "https://gillesfrozencustard.com",
-          flavors: [
-            {
-              date: getStandardDate(0),
-              dayLabel: "closed",
-              flavors: [
-                {
-                  name: "Closed for Winter",
-                  description: "Returning January 8, 2026",
-                },
-              ],
-            },
-          ],
-        },
-      ];
-    }
-
-    const flavorHeading = $('.featured h3, h3:contains("Flavor")')
-      .first()
-      .text()
-      .trim();
-    const flavorText = $('.featured p, p:contains("custard")')
-      .first()
-      .text()
-      .trim();
-
-    await page.close();
-
-    logger.info("Gilles scraped successfully");
-
-    return [
-      {
-        id: "gilles-milwaukee",
-        name: "Gilles Frozen Custard",
-        location: "Milwaukee",
-        address: "7515 W Bluemound Rd, Milwaukee, WI",
-        phone: "414-453-4875",
-        status: "open",
-        hours: "11:00am - 9:00pm",
-        website: "https://gillesfrozencustard.com",
-        flavors: [
-          {
-            date: getStandardDate(0),
-            dayLabel: "today",
-            flavors: [
-              {
-                name: flavorHeading || "Check in-store",
-                description:
-                  flavorText || "Visit Gilles for today's special flavor",
-              },
-            ],
-          },
-        ],
-      },
-    ];
+    res.json({
+      totalBackups: backups.length,
+      backups: backups,
+    });
   } catch (error) {
-    logger.error("Error scraping Gilles:", error.message);
-    if (page) await page.close();
-    return [
-      {
-        id: "gilles-milwaukee",
-        name: "Gilles Frozen Custard",
-        location: "Milwaukee",
-        address: "7515 W Bluemound Rd, Milwaukee, WI",
-        phone: "414-453-4875",
-        status: "unknown",
-        hours: "Check website",
-        website: "https://gillesfrozencustard.com",
-        flavors: [
-          {
-            date: getStandardDate(0),
-            dayLabel: "today",
-            flavors: [
-              {
-                name: "Check website",
-                description: "Visit website for current status",
-              },
-            ],
-          },
-        ],
-      },
-    ];
+    logger.error("Error listing backups:", error.message);
+    res.status(500).json({
+      error: "Failed to list backups",
+      message: error.message,
+    });
   }
-}
+});
 
-// ============================================
-// 6. MASTER SCRAPER WITH ERROR RESILIENCE
-// ============================================
+// Replace the current dataset with a backup. Holds the scrape lock so a
+// running scrape cannot overwrite the restore halfway through.
+app.post(
+  "/api/admin/backups/:name/restore",
+  requireApiKey("admin"),
+  async (req, res) => {
+    const lockId = `restore-${Date.now()}`;
 
-async function scrapeAllStands() {
-  logger.info("Starting Milwaukee Custard Tracker scrape");
+    try {
+      const lock = await jobs.acquireScrapeLock(lockId);
+      if (!lock.acquired) {
+        return res.status(409).json({
+          error: "Scrape already running",
+          message: "Wait for the scrape to finish before restoring a backup",
+          jobId: lock.holder && lock.holder.jobId,
+        });
+      }
 
-  const results = {
-    timestamp: new Date().toISOString(),
-    lastUpdated: new Date().toLocaleString("en-US", {
-      timeZone: CONFIG.TIMEZONE,
-    }),
-    totalLocations: 0,
-    stands: [],
-    errors: [],
-  };
+      const data = await getStorage().restoreBackup(req.params.name);
 
-  const scrapers = [
-    { name: "Kopp's", fn: scrapeKopps },
-    { name: "Murf's", fn: scrapeMurfs },
-    { name: "Culver's", fn: scrapeAllCulvers },
-    { name: "Leon's", fn: scrapeLeonsStatic },
-    { name: "Gilles", fn: scrapeGilles },
-  ];
+      if (!data) {
+        return res.status(404).json({
+          error: "Backup not found",
+          message: `No backup named: ${req.params.name}`,
+        });
+      }
 
-  for (const scraper of scrapers) {
-    try {
-      logger.info(`Scraping ${scraper.name}...`);
-      const data = await scraper.fn();
-      results.stands.push(...data);
+      logger.info(`Flavor data restored from backup ${req.params.name}`);
+      res.json({
+        success: true,
+        message: "Backup restored",
+        backup: req.params.name,
+        timestamp: data.timestamp,
+        totalLocations: data.stands.length,
+      });
     } catch (error) {
-      logger.error(`Failed to scrape ${scraper.name}:`, error.message);
-      results.errors.push({
-        scraper: scraper.name,
-        error: error.message,
-        timestamp: new Date().toISOString(),
+      logger.error("Error restoring backup:", error.message);
+      res.status(500).json({
+        error: "Failed to restore backup",
+        message: error.message,
       });
+    } finally {
+      await jobs.releaseScrapeLock(lockId);
     }
   }
+);
 
-  results.totalLocations = results.stands.length;
-
-  logger.info(
-    `Scraping complete - ${results.totalLocations} locations, ${results.errors.length} errors`
-  );
-
-  return results;
-}
+// Puts override changes into the served dataset right away. If another job
+// holds the scrape lock (a scrape, a backup restore or another override
+// refresh), the refresh is retried until it gets the lock: the holder may
+// already have read the overrides before this change was stored.
+let overrideRefreshTimer = null;
 
-// ============================================
-// 7. FILE SYSTEM OPERATIONS
-// ============================================
+async function applyOverrideChanges() {
+  const lockId = `overrides-${Date.now()}`;
 
-async function ensureDataDirectory() {
   try {
-    await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
-    logger.info(`Data directory ensured: ${CONFIG.DATA_DIR}`);
+    const lock = await jobs.acquireScrapeLock(lockId);
+    if (!lock.acquired) {
+      scheduleOverrideRefresh();
+      return;
+    }
+
+    const data = await loadFlavorData();
+    if (data.stands.length > 0) {
+      await saveFlavorData(await refreshManualOverrides(data));
+    }
   } catch (error) {
-    logger.error("Failed to create data directory:", error.message);
-    throw error;
+    logger.error("Failed to apply override changes:", error.message);
+  } finally {
+    await jobs.releaseScrapeLock(lockId);
   }
 }
 
-async function saveFlavorData(data) {
+// One pending retry covers every change made while the lock was held
+function scheduleOverrideRefresh() {
+  if (overrideRefreshTimer) return;
+
+  logger.info(
+    `Scrape lock held; applying override changes in ${CONFIG.OVERRIDE_REFRESH_RETRY_DELAY}ms`
+  );
+  overrideRefreshTimer = setTimeout(() => {
+    overrideRefreshTimer = null;
+    applyOverrideChanges();
+  }, CONFIG.OVERRIDE_REFRESH_RETRY_DELAY);
+  overrideRefreshTimer.unref();
+}
+
+// List manual flavor overrides, optionally for one stand
+app.get("/api/admin/overrides", requireApiKey("admin"), async (req, res) => {
   try {
-    await ensureDataDirectory();
-    const filePath = path.join(CONFIG.DATA_DIR, "flavors.json");
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-    logger.info(`Flavor data saved to ${filePath}`);
-    return true;
+    const today = getStandardDate(0);
+    let list = await overrides.listOverrides();
+
+    if (req.query.locationId) {
+      list = list.filter((o) => o.locationId === req.query.locationId);
+    }
+
+    res.json({
+      totalOverrides: list.length,
+      overrides: list.map((o) => ({
+        ...o,
+        active: overrides.isActive(o, today),
+      })),
+    });
   } catch (error) {
-    logger.error("Failed to save flavor data:", error.message);
-    throw error;
+    logger.error("Error loading overrides:", error.message);
+    res.status(500).json({
+      error: "Failed to load overrides",
+      message: error.message,
+    });
   }
-}
+});
 
-async function loadFlavorData() {
+// Create a manual flavor override and merge it into the served data
+app.post("/api/admin/overrides", requireApiKey("admin"), async (req, res) => {
   try {
-    const filePath = path.join(CONFIG.DATA_DIR, "flavors.json");
-    const data = await fs.readFile(filePath, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      logger.warn("Flavor data file not found, returning empty dataset");
-      return {
-        timestamp: new Date().toISOString(),
-        lastUpdated: "No data available",
-        totalLocations: 0,
-        stands: [],
-        errors: [],
-      };
+    const input = req.body || {};
+    const today = getStandardDate(0);
+    const errors = overrides.validateOverride(input, today);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid override",
+        details: errors,
+      });
     }
-    throw error;
-  }
-}
 
-// ============================================
-// 8. CRON SCHEDULER
-// ============================================
+    const registry = await loadRegistry();
+    if (!registry.some((entry) => entry.id === input.locationId)) {
+      return res.status(404).json({
+        error: "Location not found",
+        locationId: input.locationId,
+      });
+    }
 
-function initCronScheduler() {
-  cron.schedule(
-    CONFIG.SCRAPE_SCHEDULE,
-    async () => {
-      logger.info("Running scheduled flavor scrape");
+    const override = await overrides.createOverride(input, {
+      today,
+      createdBy: req.apiKey ? req.apiKey.id : null,
+    });
+    await applyOverrideChanges();
+    res.status(201).json(override);
+  } catch (error) {
+    logger.error("Error creating override:", error.message);
+    res.status(500).json({
+      error: "Failed to create override",
+      message: error.message,
+    });
+  }
+});
 
-      try {
-        const data = await scrapeAllStands();
-        await saveFlavorData(data);
-        logger.info("Scheduled scrape completed successfully");
-      } catch (error) {
-        logger.error("Scheduled scrape failed:", error.message);
+// Delete a manual flavor override and drop its days from the served data
+app.delete(
+  "/api/admin/overrides/:id",
+  requireApiKey("admin"),
+  async (req, res) => {
+    try {
+      const deleted = await overrides.deleteOverride(req.params.id);
+
+      if (deleted) {
+        await applyOverrideChanges();
+        res.status(204).end();
+      } else {
+        res.status(404).json({
+          error: "Override not found",
+          overrideId: req.params.id,
+        });
       }
-    },
-    {
-      timezone: CONFIG.TIMEZONE,
+    } catch (error) {
+      logger.error("Error deleting override:", error.message);
+      res.status(500).json({
+        error: "Failed to delete override",
+        message: error.message,
+      });
     }
-  );
-
-  logger.info(
-    `Cron scheduler initialized: ${CONFIG.SCRAPE_SCHEDULE} ${CONFIG.TIMEZONE}`
-  );
-}
+  }
+);
 
-// ============================================
-// 9. EXPRESS API SERVER
-// ============================================
+// Create a flavor alert subscription
+app.post("/api/subscriptions", requireApiKey("subscribe"), async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = alerts.validateSubscription(input);
+    if (errors.length === 0) {
+      const hostError = await alerts.checkWebhookHost(input.webhookUrl);
+      if (hostError) errors.push(hostError);
+    }
 
-const app = express();
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid subscription",
+        details: errors,
+      });
+    }
 
-// Middleware
-app.use(express.json());
-app.use(cors({ origin: "*" }));
+    const subscription = await alerts.createSubscription(input);
 
-// Request logging middleware
-app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`);
-  next();
+    // The signing secret is only ever returned here
+    res.status(201).json(subscription);
+  } catch (error) {
+    logger.error("Error creating subscription:", error.message);
+    res.status(500).json({
+      error: "Failed to create subscription",
+      message: error.message,
+    });
+  }
 });
 
-// Root route
-app.get("/", (req, res) => {
-  res.json({
-    status: "OK",
-    service: "Milwaukee Custard Tracker API",
-    version: "1.0.0",
-    environment: CONFIG.NODE_ENV,
-    timestamp: new Date().toISOString(),
-    endpoints: {
-      health: "GET /api/health",
-      allFlavors: "GET /api/flavors",
-      locationFlavors: "GET /api/flavors/:locationId",
-      triggerScrape: "POST /api/scrape",
-    },
-  });
-});
+// List subscriptions, optionally for one webhook URL
+app.get("/api/subscriptions", requireApiKey("admin"), async (req, res) => {
+  try {
+    let subscriptions = await alerts.listSubscriptions();
 
-// Health check endpoint
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "healthy",
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    memory: process.memoryUsage(),
-  });
-});
+    if (req.query.webhookUrl) {
+      subscriptions = subscriptions.filter(
+        (s) => s.webhookUrl === req.query.webhookUrl
+      );
+    }
 
-// Get all flavors
-app.get("/api/flavors", async (req, res) => {
-  try {
-    const data = await loadFlavorData();
-    res.json(data);
+    res.json({
+      totalSubscriptions: subscriptions.length,
+      subscriptions: subscriptions.map(alerts.withoutSecret),
+    });
   } catch (error) {
-    logger.error("Error loading flavors:", error.message);
+    logger.error("Error loading subscriptions:", error.message);
     res.status(500).json({
-      error: "Failed to load flavor data",
+      error: "Failed to load subscriptions",
       message: error.message,
     });
   }
 });
 
-// Get specific location
-app.get("/api/flavors/:locationId", async (req, res) => {
+// Get one subscription
+app.get("/api/subscriptions/:id", async (req, res) => {
   try {
-    const data = await loadFlavorData();
-    const location = data.stands.find((s) => s.id === req.params.locationId);
+    const subscriptions = await alerts.listSubscriptions();
+    const subscription = subscriptions.find((s) => s.id === req.params.id);
 
-    if (location) {
-      res.json(location);
+    if (subscription) {
+      res.json(alerts.withoutSecret(subscription));
     } else {
       res.status(404).json({
-        error: "Location not found",
-        locationId: req.params.locationId,
+        error: "Subscription not found",
+        subscriptionId: req.params.id,
       });
     }
   } catch (error) {
-    logger.error("Error loading location:", error.message);
+    logger.error("Error loading subscription:", error.message);
     res.status(500).json({
-      error: "Failed to load location data",
+      error: "Failed to load subscription",
       message: error.message,
     });
   }
 });
 
-// Manual scrape trigger
-app.post("/api/scrape", async (req, res) => {
+// Webhook delivery log for one subscription
+app.get("/api/subscriptions/:id/deliveries", async (req, res) => {
   try {
-    logger.info("Manual scrape triggered via API");
-    const data = await scrapeAllStands();
-    await saveFlavorData(data);
+    const deliveries = await alerts.getDeliveries(req.params.id);
 
     res.json({
-      success: true,
-      message: "Scrape completed successfully",
-      timestamp: new Date().toISOString(),
-      totalLocations: data.totalLocations,
-      errors: data.errors,
+      subscriptionId: req.params.id,
+      totalDeliveries: deliveries.length,
+      deliveries: deliveries,
     });
   } catch (error) {
-    logger.error("Manual scrape failed:", error.message);
+    logger.error("Error loading deliveries:", error.message);
     res.status(500).json({
-      success: false,
-      error: error.message,
+      error: "Failed to load deliveries",
+      message: error.message,
+    });
+  }
+});
+
+// Delete a subscription
+app.delete("/api/subscriptions/:id", async (req, res) => {
+  try {
+    const deleted = await alerts.deleteSubscription(req.params.id);
+
+    if (deleted) {
+      res.status(204).end();
+    } else {
+      res.status(404).json({
+        error: "Subscription not found",
+        subscriptionId: req.params.id,
+      });
+    }
+  } catch (error) {
+    logger.error("Error deleting subscription:", error.message);
+    res.status(500).json({
+      error: "Failed to delete subscription",
+      message: error.message,
     });
   }
 });
@@ -935,8 +2140,10 @@ async function gracefulShutdown(signal) {
   logger.info(`${signal} received, starting graceful shutdown`);
 
   try {
+    if (activeJobId) await jobs.releaseScrapeLock(activeJobId);
     await closeBrowser();
     logger.info("Browser closed successfully");
+    await getStorage().close();
   } catch (error) {
     logger.error("Error during shutdown:", error.message);
   }
@@ -966,6 +2173,7 @@ async function startServer() {
     logger.info("Starting Milwaukee Custard Tracker API");
     logger.info(`Environment: ${CONFIG.NODE_ENV}`);
     logger.info(`Port: ${CONFIG.PORT}`);
+    logger.info(`Storage: ${getStorage().name}`);
 
     // Ensure data directory exists
     await ensureDataDirectory();
@@ -973,14 +2181,25 @@ async function startServer() {
     // Run initial scrape
     logger.info("Running initial scrape...");
     try {
-      const data = await scrapeAllStands();
-      await saveFlavorData(data);
-      logger.info("Initial scrape completed successfully");
+      const { job, holder, done } = await startScrapeJob("startup");
+      if (job) {
+        await done;
+      } else {
+        logger.info(
+          `Scrape job ${holder && holder.jobId} already running, skipping`
+        );
+      }
     } catch (error) {
       logger.error("Initial scrape failed:", error.message);
       logger.warn("Server will start with empty/cached data");
     }
 
+    if (getApiKeys().length === 0) {
+      logger.warn(
+        "No API_KEYS configured, administrative endpoints are locked"
+      );
+    }
+
     // Initialize cron scheduler
     initCronScheduler();
 
@@ -1006,7 +2225,9 @@ startServer();
 module.exports = {
   scrapeKopps,
   scrapeMurfs,
+  scrapeCulvers,
   scrapeAllCulvers,
+  discoverCulversLocations,
   scrapeLeonsStatic,
   scrapeGilles,
   scrapeAllStands,
@@ -0,0 +1,79 @@
+// Saves a live page's HTML as a parser test fixture.
+//
+// Usage: npm run capture-fixture -- <strategy> <url> <fixture-name>
+//   e.g. npm run capture-fixture -- kopps https://kopps.com/flavor-preview kopps-flavor-preview
+//
+// The page is loaded in the strategy's mode (see SCRAPER_MODES in
+// lib/pageload.js), the same way the scrapers load it, so the fixture matches
+// what the parser sees in production: the served HTML for "http" strategies,
+// the rendered DOM for "browser" ones. Remember to update the reference date
+// in test/parsers.test.js to the day the fixture was captured.
+
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("../lib/config");
+const pageload = require("../lib/pageload");
+
+async function renderHtml(url) {
+  // Only needed for browser strategies
+  const puppeteer = require("puppeteer");
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: CONFIG.BROWSER_ARGS,
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.goto(url, {
+      waitUntil: "networkidle2",
+      timeout: CONFIG.SCRAPE_TIMEOUT,
+    });
+    // Murf's renders its forecast client-side
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    return await page.content();
+  } finally {
+    await browser.close();
+  }
+}
+
+async function captureFixture(strategy, url, name) {
+  const mode = pageload.SCRAPER_MODES[strategy];
+  const html =
+    mode === "browser" ? await renderHtml(url) : await pageload.fetchHtml(url);
+
+  const filePath = path.join(
+    __dirname,
+    "..",
+    "test",
+    "fixtures",
+    `${name}.html`
+  );
+  await fs.writeFile(filePath, html);
+  console.log(`Saved ${url} (${mode}) to ${filePath}`);
+}
+
+const USAGE =
+  "Usage: npm run capture-fixture -- <strategy> <url> <fixture-name>";
+const [strategy, url, name] = process.argv.slice(2);
+
+if (!strategy || !url || !name) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+if (!pageload.SCRAPER_MODES[strategy]) {
+  const pageStrategies = Object.keys(pageload.SCRAPER_MODES).filter(
+    (key) => pageload.SCRAPER_MODES[key]
+  );
+  console.error(
+    `Strategy "${strategy}" loads no pages. Use one of: ${pageStrategies.join(
+      ", "
+    )}`
+  );
+  process.exit(1);
+}
+
+captureFixture(strategy, url, name).catch((error) => {
+  console.error("Failed to capture fixture:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// Copies a flavors.json dataset, and the scrape run log when present, into a
+// storage backend. Used once when switching STORAGE_BACKEND.
+//
+// Usage: npm run import-data -- [backend] [flavors.json]
+//   e.g. npm run import-data -- sqlite data/flavors.json
+//
+// The backend defaults to sqlite and the file to DATA_DIR/flavors.json. The
+// run log is read from scrape-runs.json next to the imported file.
+
+const fs = require("fs").promises;
+const path = require("path");
+const CONFIG = require("../lib/config");
+const { createStorage } = require("../lib/storage");
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function importFlavors(backend, filePath) {
+  if (backend === "json") {
+    throw new Error("The json backend already reads flavors.json");
+  }
+
+  const data = await readJson(filePath);
+  if (!data || !Array.isArray(data.stands)) {
+    throw new Error(`${filePath} does not contain a flavor dataset`);
+  }
+
+  const runs =
+    (await readJson(path.join(path.dirname(filePath), "scrape-runs.json"))) ||
+    [];
+
+  const storage = createStorage(backend);
+  try {
+    await storage.saveDataset(data);
+    // The run log is stored oldest first
+    for (const run of runs) {
+      await storage.appendRun(run);
+    }
+  } finally {
+    await storage.close();
+  }
+
+  console.log(
+    `Imported ${data.stands.length} stands and ${runs.length} scrape runs from ${filePath} into ${backend} storage`
+  );
+}
+
+const [
+  backend = "sqlite",
+  filePath = path.join(CONFIG.DATA_DIR, "flavors.json"),
+] = process.argv.slice(2);
+
+importFlavors(backend, filePath).catch((error) => {
+  console.error("Failed to import flavor data:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+// Stand-in webhook receiver for testing flavor alerts locally.
+//
+// Usage: npm run webhook-receiver
+//   PORT=4100            port to listen on
+//   WEBHOOK_SECRET=...   subscription secret; when set, signatures are checked
+//   FAIL_FIRST=2         answer the first N requests with 500 to exercise retries
+//
+// Start the API with WEBHOOK_ALLOW_PRIVATE_HOSTS=true (webhooks to localhost
+// are refused otherwise), subscribe with a "subscribe" API key and
+// "webhookUrl": "http://localhost:4100/hooks", then trigger a scrape with
+// POST /api/scrape.
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = parseInt(process.env.PORT) || 4100;
+const SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.FAIL_FIRST) || 0;
+
+function verifySignature(header, body) {
+  const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(header || "");
+  if (!match) return false;
+
+  const expected = crypto
+    .createHmac("sha256", SECRET)
+    .update(`${match[1]}.${body}`)
+    .digest("hex");
+  return crypto.timingSafeEqual(
+    Buffer.from(expected, "hex"),
+    Buffer.from(match[2], "hex")
+  );
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    const signature = req.headers["x-custard-signature"];
+    console.log(`\n${req.method} ${req.url}`);
+    console.log(`Event: ${req.headers["x-custard-event"]}`);
+    console.log(`Signature: ${signature}`);
+
+    if (SECRET && !verifySignature(signature, body)) {
+      console.log("Signature INVALID");
+      res.writeHead(401).end();
+      return;
+    }
+    if (SECRET) console.log("Signature valid");
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log("Simulating failure (500)");
+      res.writeHead(500).end();
+      return;
+    }
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
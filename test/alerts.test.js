@@ -0,0 +1,252 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const alerts = require("../lib/alerts");
+
+const TODAY = "2026-01-07";
+
+const data = {
+  stands: [
+    {
+      id: "kopps-greenfield",
+      name: "Kopp's Frozen Custard",
+      location: "Greenfield",
+      flavors: [
+        {
+          date: "2026-01-06",
+          dayLabel: "tuesday",
+          flavors: [{ name: "Turtle", description: "" }],
+        },
+        {
+          date: "2026-01-08",
+          dayLabel: "tomorrow",
+          flavors: [{ name: "Turtle", description: "Caramel and pecans" }],
+        },
+      ],
+    },
+    {
+      id: "culvers-west-allis",
+      name: "Culver's",
+      location: "West Allis",
+      flavors: [
+        {
+          date: TODAY,
+          dayLabel: "today",
+          flavors: [{ name: "Turtle Cheesecake", description: "" }],
+        },
+      ],
+    },
+  ],
+};
+
+let receiver;
+let received = [];
+let failNext = 0;
+let delayMs = 0;
+let activeRequests = 0;
+let peakRequests = 0;
+let webhookUrl;
+
+before(async () => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-test-"));
+  CONFIG.WEBHOOK_RETRY_DELAY = 1;
+  // The test receiver listens on loopback
+  CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS = true;
+
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    activeRequests++;
+    peakRequests = Math.max(peakRequests, activeRequests);
+    req.on("end", async () => {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      activeRequests--;
+      if (failNext > 0) {
+        failNext--;
+        res.writeHead(500).end();
+        return;
+      }
+      received.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, resolve));
+  webhookUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+after(() => {
+  receiver.close();
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+test("validateSubscription rejects bad input", () => {
+  assert.deepEqual(
+    alerts.validateSubscription({ flavor: "turtle", webhookUrl }),
+    []
+  );
+  assert.equal(
+    alerts.validateSubscription({ flavor: " ", webhookUrl: "ftp://x" }).length,
+    2
+  );
+});
+
+test("webhooks to internal addresses are refused", async () => {
+  CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS = false;
+  try {
+    for (const url of [
+      webhookUrl,
+      "http://10.1.2.3/hooks",
+      "http://172.20.0.5/hooks",
+      "http://192.168.1.10/hooks",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]:4000/hooks",
+      "http://[::ffff:127.0.0.1]/hooks",
+      "http://[fd12:3456::1]/hooks",
+      "http://localhost:4000/hooks",
+    ]) {
+      assert.match(
+        await alerts.checkWebhookHost(url),
+        /loopback, private or link-local/,
+        url
+      );
+    }
+    assert.equal(
+      await alerts.checkWebhookHost("https://93.184.216.34/hooks"),
+      null
+    );
+
+    const result = await alerts.deliverWebhook(
+      { id: "sub", secret: "s", webhookUrl },
+      { event: "flavor.match", deliveryId: "d" }
+    );
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts, 0);
+    assert.equal(received.length, 0);
+  } finally {
+    CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS = true;
+  }
+});
+
+test("findMatches only returns upcoming forecast entries", async () => {
+  const matches = alerts.findMatches(
+    data,
+    { id: "sub", flavor: "turtle", locationId: null },
+    TODAY
+  );
+
+  assert.deepEqual(
+    matches.map((m) => [m.standId, m.date, m.flavor]),
+    [
+      ["culvers-west-allis", TODAY, "Turtle Cheesecake"],
+      ["kopps-greenfield", "2026-01-08", "Turtle"],
+    ]
+  );
+});
+
+test("delivers signed webhooks once per match, retrying failures", async () => {
+  const subscription = await alerts.createSubscription({
+    flavor: "turtle",
+    locationId: "kopps-greenfield",
+    webhookUrl,
+  });
+  received = [];
+  failNext = 1;
+
+  const first = await alerts.processAlerts(data, TODAY);
+  assert.deepEqual(first, { matched: 1, delivered: 1, failed: 0, skipped: 0 });
+  assert.equal(received.length, 1);
+
+  const { headers, body } = received[0];
+  const [, timestamp, signature] = /^t=(\d+),v1=(\w+)$/.exec(
+    headers["x-custard-signature"]
+  );
+  const expected = crypto
+    .createHmac("sha256", subscription.secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  assert.equal(signature, expected);
+  assert.equal(JSON.parse(body).match.date, "2026-01-08");
+
+  const second = await alerts.processAlerts(data, TODAY);
+  assert.deepEqual(second, { matched: 1, delivered: 0, failed: 0, skipped: 1 });
+  assert.equal(received.length, 1);
+
+  const deliveries = await alerts.getDeliveries(subscription.id);
+  assert.equal(deliveries.length, 1);
+  assert.equal(deliveries[0].status, "delivered");
+  assert.equal(deliveries[0].attempts, 2);
+
+  assert.equal(await alerts.deleteSubscription(subscription.id), true);
+  assert.equal(await alerts.deleteSubscription(subscription.id), false);
+});
+
+test("logs failed deliveries and retries them on the next run", async () => {
+  const subscription = await alerts.createSubscription({
+    flavor: "cheesecake",
+    webhookUrl,
+  });
+  received = [];
+  failNext = CONFIG.WEBHOOK_MAX_ATTEMPTS;
+
+  const first = await alerts.processAlerts(data, TODAY);
+  assert.equal(first.failed, 1);
+
+  const second = await alerts.processAlerts(data, TODAY);
+  assert.equal(second.delivered, 1);
+  assert.equal(received.length, 1);
+
+  const deliveries = await alerts.getDeliveries(subscription.id);
+  assert.deepEqual(
+    deliveries.map((d) => d.status),
+    ["failed", "delivered"]
+  );
+});
+
+test("concurrent subscription changes are all kept", async () => {
+  const before = (await alerts.listSubscriptions()).length;
+  const created = await Promise.all(
+    ["turtle", "mint", "pecan", "cherry", "oreo"].map((flavor) =>
+      alerts.createSubscription({ flavor, webhookUrl })
+    )
+  );
+
+  assert.equal((await alerts.listSubscriptions()).length, before + 5);
+
+  await Promise.all(created.map((s) => alerts.deleteSubscription(s.id)));
+  assert.equal((await alerts.listSubscriptions()).length, before);
+});
+
+test("deliveries run concurrently up to the cap and are each logged", async () => {
+  const concurrency = CONFIG.WEBHOOK_CONCURRENCY;
+  const subscriptions = [];
+  for (const flavor of ["turtle", "cheesecake", "turtle cheesecake"]) {
+    subscriptions.push(await alerts.createSubscription({ flavor, webhookUrl }));
+  }
+  CONFIG.WEBHOOK_CONCURRENCY = 2;
+  delayMs = 30;
+  peakRequests = 0;
+
+  try {
+    const summary = await alerts.processAlerts(data, TODAY);
+
+    assert.equal(summary.failed, 0);
+    assert.equal(summary.delivered, summary.matched - summary.skipped);
+    assert.ok(summary.delivered >= 4);
+    assert.equal(peakRequests, 2);
+    for (const subscription of subscriptions) {
+      const deliveries = await alerts.getDeliveries(subscription.id);
+      assert.ok(deliveries.every((d) => d.status === "delivered"));
+    }
+  } finally {
+    CONFIG.WEBHOOK_CONCURRENCY = concurrency;
+    delayMs = 0;
+    for (const subscription of subscriptions) {
+      await alerts.deleteSubscription(subscription.id);
+    }
+  }
+});
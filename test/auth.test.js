@@ -0,0 +1,162 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const CONFIG = require("../lib/config");
+const logger = require("../lib/logger");
+const { getApiKeys, parseApiKeys, requireScope } = require("../lib/auth");
+const { createRateLimiter } = require("../lib/ratelimit");
+
+function fakeRequest(headers = {}, ip = "203.0.113.7") {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])
+  );
+  return {
+    method: "POST",
+    path: "/api/scrape",
+    ip,
+    get: (name) => lower[name.toLowerCase()],
+  };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      if (typeof name === "object") Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function run(middleware, req) {
+  const res = fakeResponse();
+  let passed = false;
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+beforeEach(() => {
+  CONFIG.API_KEYS = "scrape-key:scrape,admin-key:admin";
+});
+
+test("parseApiKeys reads scopes and skips malformed entries", () => {
+  const keys = parseApiKeys("a:scrape+admin, b:admin ,c:root,:scrape,nokey");
+
+  assert.deepEqual(
+    keys.map((k) => k.scopes),
+    [["scrape", "admin"], ["admin"]]
+  );
+  assert.match(keys[0].id, /^[0-9a-f]{8}$/);
+});
+
+test("API_KEYS is parsed once and reused until it changes", (t) => {
+  const warn = t.mock.method(logger, "warn", () => {});
+  CONFIG.API_KEYS = "good-key:admin,bad-key:root";
+
+  const keys = getApiKeys();
+  for (let i = 0; i < 3; i++) {
+    run(requireScope("admin"), fakeRequest({ "X-API-Key": "good-key" }));
+  }
+  assert.equal(getApiKeys(), keys);
+  assert.equal(warn.mock.callCount(), 1);
+
+  CONFIG.API_KEYS = "other-key:scrape";
+  assert.deepEqual(
+    getApiKeys().map((k) => k.scopes),
+    [["scrape"]]
+  );
+});
+
+test("requireScope answers 401 without a valid key", () => {
+  const missing = run(requireScope("scrape"), fakeRequest());
+  assert.equal(missing.passed, false);
+  assert.equal(missing.res.statusCode, 401);
+  assert.equal(missing.res.body.error, "Unauthorized");
+  assert.ok(missing.res.headers["WWW-Authenticate"]);
+
+  const invalid = run(
+    requireScope("scrape"),
+    fakeRequest({ Authorization: "Bearer nope" })
+  );
+  assert.equal(invalid.res.statusCode, 401);
+  assert.equal(invalid.res.body.message, "Invalid API key");
+});
+
+test("requireScope answers 403 when the key lacks the scope", () => {
+  const { res, passed } = run(
+    requireScope("admin"),
+    fakeRequest({ "X-API-Key": "scrape-key" })
+  );
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, "Forbidden");
+});
+
+test("admin keys carry every scope", () => {
+  const req = fakeRequest({ Authorization: "Bearer admin-key" });
+  const { passed } = run(requireScope("scrape"), req);
+
+  assert.equal(passed, true);
+  assert.deepEqual(req.apiKey.scopes, ["admin"]);
+});
+
+test("rate limiter counts per IP, or per key when one is present", () => {
+  let time = 0;
+  const limiter = createRateLimiter({
+    name: "test",
+    limits: { perIp: 2, perKey: 3 },
+    windowMs: 1000,
+    now: () => time,
+  });
+
+  assert.equal(run(limiter, fakeRequest()).passed, true);
+  assert.equal(run(limiter, fakeRequest()).passed, true);
+
+  const limited = run(limiter, fakeRequest());
+  assert.equal(limited.passed, false);
+  assert.equal(limited.res.statusCode, 429);
+  assert.equal(limited.res.body.error, "Too many requests");
+  assert.equal(limited.res.headers["Retry-After"], "1");
+
+  // Other IPs and keyed requests have their own windows
+  assert.equal(run(limiter, fakeRequest({}, "198.51.100.1")).passed, true);
+  const keyed = fakeRequest();
+  keyed.apiKey = { id: "abcd1234", scopes: ["scrape"] };
+  const { res } = run(limiter, keyed);
+  assert.equal(res.headers["RateLimit-Remaining"], "2");
+
+  time = 1000;
+  assert.equal(run(limiter, fakeRequest()).passed, true);
+});
+
+test("rate limiter lets skipped requests through uncounted", () => {
+  const limiter = createRateLimiter({
+    name: "test",
+    limits: { perIp: 1, perKey: 1 },
+    skip: (req) => req.path === "/api/health",
+    now: () => 0,
+  });
+  const health = () => ({ ...fakeRequest(), path: "/api/health" });
+
+  assert.equal(run(limiter, health()).passed, true);
+  assert.equal(run(limiter, health()).passed, true);
+  assert.equal(run(limiter, fakeRequest()).passed, true);
+  assert.equal(run(limiter, fakeRequest()).passed, false);
+  assert.equal(
+    run(limiter, health()).res.headers["RateLimit-Limit"],
+    undefined
+  );
+});
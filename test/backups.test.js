@@ -0,0 +1,108 @@
+const { test, before, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const backups = require("../lib/backups");
+const { createStorage } = require("../lib/storage");
+
+const dataset = (timestamp) => ({
+  timestamp,
+  lastUpdated: timestamp,
+  totalLocations: 1,
+  stands: [{ id: "kopps-greenfield", name: "Kopp's", flavors: [] }],
+  errors: [],
+});
+
+const backupDir = () => path.join(CONFIG.DATA_DIR, "backups");
+
+before(() => {
+  CONFIG.BACKUP_LIMIT = 3;
+});
+
+beforeEach(() => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "backups-test-"));
+});
+
+afterEach(() => {
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+test("writeFileAtomic replaces the file without leaving temp files", async () => {
+  const filePath = path.join(CONFIG.DATA_DIR, "flavors.json");
+  fs.writeFileSync(filePath, "old");
+
+  await backups.writeFileAtomic(filePath, "new");
+
+  assert.equal(fs.readFileSync(filePath, "utf8"), "new");
+  assert.deepEqual(fs.readdirSync(CONFIG.DATA_DIR), ["flavors.json"]);
+});
+
+test("keeps only the newest BACKUP_LIMIT backups", async () => {
+  for (let day = 1; day <= 5; day++) {
+    const savedAt = new Date(`2026-01-0${day}T06:00:00.000Z`);
+    await backups.saveBackup(dataset(savedAt.toISOString()), savedAt);
+  }
+
+  const listed = await backups.listBackups();
+  assert.deepEqual(
+    listed.map((b) => b.createdAt),
+    [
+      "2026-01-05T06:00:00.000Z",
+      "2026-01-04T06:00:00.000Z",
+      "2026-01-03T06:00:00.000Z",
+    ]
+  );
+  assert.equal(listed[0].name, "flavors-2026-01-05T06-00-00-000Z.json");
+  assert.equal(listed[0].valid, true);
+  assert.equal(listed[0].totalLocations, 1);
+});
+
+test("a corrupt flavors.json falls back to the newest readable backup", async () => {
+  const storage = createStorage("json");
+  await backups.saveBackup(
+    dataset("2026-01-06T06:00:00.000Z"),
+    new Date("2026-01-06T06:00:00.000Z")
+  );
+  await backups.saveBackup(
+    dataset("2026-01-07T06:00:00.000Z"),
+    new Date("2026-01-07T06:00:00.000Z")
+  );
+  // The newest backup was cut off mid-write as well
+  fs.writeFileSync(
+    path.join(backupDir(), "flavors-2026-01-07T06-00-00-000Z.json"),
+    '{"timestamp": "2026-01-07T06:0'
+  );
+  fs.writeFileSync(
+    path.join(CONFIG.DATA_DIR, "flavors.json"),
+    '{"timestamp": "2026-01-08T06:00:00.000Z", "stands": [{"id": "ko'
+  );
+
+  const data = await storage.loadDataset();
+  assert.equal(data.timestamp, "2026-01-06T06:00:00.000Z");
+
+  const listed = await backups.listBackups();
+  assert.equal(listed[0].valid, false);
+});
+
+test("restoring a backup makes it the current dataset", async () => {
+  const storage = createStorage("json");
+  await storage.saveDataset(dataset("2026-01-06T06:00:00.000Z"));
+  const [saved] = await backups.listBackups();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await storage.saveDataset(dataset("2026-01-07T06:00:00.000Z"));
+
+  const restored = await storage.restoreBackup(saved.name);
+
+  assert.equal(restored.timestamp, "2026-01-06T06:00:00.000Z");
+  assert.equal(
+    (await createStorage("json").loadDataset()).timestamp,
+    "2026-01-06T06:00:00.000Z"
+  );
+  assert.equal(await storage.restoreBackup("../flavors.json"), null);
+  assert.equal(
+    await storage.restoreBackup("flavors-2000-01-01T00-00-00-000Z.json"),
+    null
+  );
+});
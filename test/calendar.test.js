@@ -0,0 +1,122 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  escapeText,
+  foldLine,
+  buildStandEvents,
+  buildCalendar,
+} = require("../lib/calendar");
+
+const stand = {
+  id: "kopps-greenfield",
+  name: "Kopp's Frozen Custard",
+  location: "Greenfield",
+  address: "7631 W Layton Ave, Greenfield, WI",
+  website: "https://kopps.com",
+  flavors: [
+    {
+      date: "2026-01-07",
+      dayLabel: "today",
+      flavors: [
+        { name: "Turtle", description: "Caramel, fudge; pecans" },
+        { name: "Mint Chip", description: "" },
+      ],
+    },
+    { date: "2026-01-08", dayLabel: "tomorrow", flavors: [] },
+    {
+      date: "2026-01-09",
+      dayLabel: "friday",
+      placeholder: true,
+      flavors: [{ name: "Check website", description: "" }],
+    },
+  ],
+};
+
+test("escapeText escapes RFC 5545 special characters", () => {
+  assert.equal(escapeText("a,b;c\\d\ne"), "a\\,b\\;c\\\\d\\ne");
+});
+
+test("foldLine keeps every line within 75 octets", () => {
+  const folded = foldLine(`DESCRIPTION:${"é".repeat(100)}`);
+  for (const line of folded.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line) <= 75);
+  }
+  assert.equal(folded.replace(/\r\n /g, ""), `DESCRIPTION:${"é".repeat(100)}`);
+});
+
+test("one event per forecast day with real flavors", () => {
+  const events = buildStandEvents(stand);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].uid, "kopps-greenfield-2026-01-07");
+  assert.equal(
+    events[0].summary,
+    "Kopp's Frozen Custard (Greenfield): Turtle, Mint Chip"
+  );
+});
+
+test("days sharing a date become one event", () => {
+  const leons = {
+    ...stand,
+    id: "leons-milwaukee",
+    flavors: [
+      {
+        date: "2026-01-08",
+        dayLabel: "always",
+        flavors: [
+          { name: "Vanilla", description: "" },
+          { name: "Chocolate", description: "" },
+        ],
+      },
+      {
+        date: "2026-01-08",
+        dayLabel: "today",
+        source: "manual",
+        flavors: [
+          { name: "Butter Pecan", description: "Weekend special" },
+          { name: "vanilla", description: "" },
+        ],
+      },
+    ],
+  };
+
+  const events = buildStandEvents(leons);
+
+  assert.deepEqual(
+    events.map((e) => e.uid),
+    ["leons-milwaukee-2026-01-08"]
+  );
+  assert.equal(
+    events[0].summary,
+    "Kopp's Frozen Custard (Greenfield): Vanilla, Chocolate, Butter Pecan"
+  );
+});
+
+test("flavor feeds filter flavors and use their own UIDs", () => {
+  const events = buildStandEvents(stand, {
+    flavorFilter: (f) => f.name === "Turtle",
+    uidSuffix: "turtle",
+  });
+
+  assert.equal(events[0].uid, "kopps-greenfield-2026-01-07-turtle");
+  assert.equal(events[0].summary, "Kopp's Frozen Custard (Greenfield): Turtle");
+});
+
+test("buildCalendar emits all-day events with stable UIDs", () => {
+  const ics = buildCalendar({
+    name: "Kopp's Flavors",
+    timestamp: "2026-01-07T12:00:00.000Z",
+    events: buildStandEvents(stand),
+  });
+  const lines = ics.split("\r\n");
+
+  assert.equal(lines[0], "BEGIN:VCALENDAR");
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(
+    lines.includes("UID:kopps-greenfield-2026-01-07@milwaukee-custard-tracker")
+  );
+  assert.ok(lines.includes("DTSTAMP:20260107T120000Z"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20260107"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20260108"));
+  assert.ok(lines.includes("LOCATION:7631 W Layton Ave\\, Greenfield\\, WI"));
+});
@@ -0,0 +1,179 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const {
+  annotateFlavor,
+  annotateStand,
+  filterStandFlavors,
+  mergeObservedFlavors,
+  recordObservedFlavors,
+  listObservedFlavors,
+} = require("../lib/catalog");
+
+function served(standId, names, extra = {}) {
+  return annotateStand({
+    id: standId,
+    flavors: [
+      {
+        date: "2026-01-07",
+        dayLabel: "today",
+        flavors: names.map((name) => ({ name: name, description: "" })),
+        ...extra,
+      },
+    ],
+  });
+}
+
+test("aliases resolve to the same catalog flavor", () => {
+  const kopps = annotateFlavor({ name: "Cookies 'n Cream", description: "" });
+  const culvers = annotateFlavor({
+    name: "Cookies and Cream",
+    description: "",
+  });
+
+  assert.equal(kopps.flavorId, "cookies-and-cream");
+  assert.equal(culvers.flavorId, "cookies-and-cream");
+  assert.equal(kopps.canonicalName, "Cookies and Cream");
+  assert.deepEqual(kopps.allergens, ["wheat"]);
+});
+
+test("uncatalogued flavors get tags and allergens from their wording", () => {
+  const flavor = annotateFlavor({
+    name: "Midnight Toffee Crunch",
+    description: "Chocolate custard with Reese's pieces and toasted almonds",
+  });
+
+  assert.equal(flavor.flavorId, "midnight-toffee-crunch");
+  assert.equal(flavor.canonicalName, "Midnight Toffee Crunch");
+  assert.deepEqual(flavor.tags, ["chocolate-base", "nuts"]);
+  assert.deepEqual(flavor.allergens, ["peanuts", "tree-nuts"]);
+});
+
+test("always-available comes from the day label or the description", () => {
+  assert.deepEqual(
+    annotateFlavor({ name: "Vanilla", description: "" }, "always").tags,
+    ["always-available"]
+  );
+  assert.deepEqual(
+    annotateFlavor({
+      name: "Butter Pecan",
+      description: "Butter pecan custard (always available)",
+    }).tags,
+    ["nuts", "always-available"]
+  );
+});
+
+const stand = {
+  id: "kopps-greenfield",
+  flavors: [
+    {
+      date: "2026-01-07",
+      dayLabel: "today",
+      flavors: [
+        { name: "Butter Pecan", description: "" },
+        { name: "Strawberry", description: "Fresh strawberries" },
+      ],
+    },
+    {
+      date: "2026-01-08",
+      dayLabel: "tomorrow",
+      flavors: [{ name: "Turtle", description: "" }],
+    },
+  ],
+};
+
+test("filterStandFlavors applies tag and allergen filters", () => {
+  const annotated = annotateStand(stand);
+
+  const fruit = filterStandFlavors(annotated, { tags: ["fruit"] });
+  assert.deepEqual(
+    fruit.flavors.map((day) => day.flavors.map((f) => f.name)),
+    [["Strawberry"]]
+  );
+
+  const nutFree = filterStandFlavors(annotated, {
+    excludeAllergens: ["tree-nuts"],
+  });
+  assert.deepEqual(
+    nutFree.flavors.map((day) => day.date),
+    ["2026-01-07"]
+  );
+
+  assert.equal(filterStandFlavors(annotated, { tags: ["seasonal"] }), null);
+});
+
+test("filterStandFlavors annotates flavors saved without catalog data", () => {
+  const nutFree = filterStandFlavors(stand, {
+    excludeAllergens: ["tree-nuts"],
+  });
+  assert.equal(nutFree.flavors[0].flavors[0].name, "Strawberry");
+});
+
+test("the catalog lists served flavors under their canonical names", () => {
+  const observed = mergeObservedFlavors(
+    {},
+    {
+      stands: [
+        served("kopps-greenfield", ["Cookies 'n Cream", "Midnight Toffee"]),
+        served("culvers-west-allis", ["Cookies and Cream"]),
+        served("gilles-milwaukee", ["Check website"], { placeholder: true }),
+      ],
+    },
+    "2026-01-07"
+  );
+
+  assert.deepEqual(Object.keys(observed), [
+    "cookies-and-cream",
+    "midnight-toffee",
+  ]);
+  assert.deepEqual(observed["cookies-and-cream"], {
+    id: "cookies-and-cream",
+    name: "Cookies and Cream",
+    aliases: ["Cookies 'n Cream"],
+    tags: [],
+    allergens: ["wheat"],
+    stands: ["kopps-greenfield", "culvers-west-allis"],
+    firstSeen: "2026-01-07",
+    lastSeen: "2026-01-07",
+  });
+  assert.equal(observed["midnight-toffee"].name, "Midnight Toffee");
+});
+
+test("observed flavors persist and age out after the retention period", async () => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-test-"));
+  const retentionDays = CONFIG.HISTORY_RETENTION_DAYS;
+  CONFIG.HISTORY_RETENTION_DAYS = 30;
+
+  try {
+    await recordObservedFlavors(
+      { stands: [served("kopps-greenfield", ["Turtle"])] },
+      "2026-01-07"
+    );
+    await recordObservedFlavors(
+      { stands: [served("kopps-greenfield", ["Mint Chip"])] },
+      "2026-02-01"
+    );
+    assert.deepEqual(
+      (await listObservedFlavors()).map((f) => [f.name, f.lastSeen]),
+      [
+        ["Mint Chip", "2026-02-01"],
+        ["Turtle", "2026-01-07"],
+      ]
+    );
+
+    await recordObservedFlavors(
+      { stands: [served("kopps-greenfield", ["Mint Chip"])] },
+      "2026-02-10"
+    );
+    assert.deepEqual(
+      (await listObservedFlavors()).map((f) => f.name),
+      ["Mint Chip"]
+    );
+  } finally {
+    CONFIG.HISTORY_RETENTION_DAYS = retentionDays;
+    fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,131 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const changes = require("../lib/changes");
+
+const TODAY = "2026-01-07";
+
+function kopps(days, status = "open") {
+  return {
+    id: "kopps-greenfield",
+    name: "Kopp's Frozen Custard",
+    location: "Greenfield",
+    status,
+    flavors: days.map(([date, names]) => ({
+      date,
+      dayLabel: "upcoming",
+      flavors: names.map((name) => ({ name, description: "" })),
+    })),
+  };
+}
+
+const leons = (date) => ({
+  id: "leons-milwaukee",
+  name: "Leon's Frozen Custard",
+  location: "Milwaukee",
+  status: "open",
+  flavors: [
+    {
+      date,
+      dayLabel: "always",
+      flavors: [{ name: "Vanilla", description: "" }],
+    },
+  ],
+});
+
+before(() => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "changes-test-"));
+});
+
+after(() => {
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+test("detects swapped, added and removed flavors per date", () => {
+  const previous = {
+    stands: [
+      kopps([
+        ["2026-01-06", ["Butter Pecan"]],
+        ["2026-01-10", ["Turtle", "Mint Chip"]],
+        ["2026-01-11", ["Strawberry"]],
+      ]),
+    ],
+  };
+  const next = {
+    stands: [
+      kopps([
+        ["2026-01-10", ["Caramel Cashew", "Mint Chip"]],
+        ["2026-01-11", ["Strawberry", "Egg Nog", "Peppermint Stick"]],
+      ]),
+    ],
+  };
+
+  const detected = changes.diffDatasets(previous, next, {
+    today: TODAY,
+    timestamp: "2026-01-07T18:00:00.000Z",
+  });
+
+  assert.deepEqual(
+    detected.map((c) => [c.type, c.date, c.from || c.flavor, c.to]),
+    [
+      ["flavor-swapped", "2026-01-10", "Turtle", "Caramel Cashew"],
+      ["flavor-added", "2026-01-11", "Egg Nog", undefined],
+      ["flavor-added", "2026-01-11", "Peppermint Stick", undefined],
+    ]
+  );
+  assert.equal(
+    detected[0].message,
+    "Kopp's Frozen Custard (Greenfield) Saturday changed from Turtle to Caramel Cashew"
+  );
+  assert.equal(detected[0].timestamp, "2026-01-07T18:00:00.000Z");
+});
+
+test("detects status changes and added or removed stands", () => {
+  const detected = changes.diffDatasets(
+    { stands: [kopps([]), leons(TODAY)] },
+    { stands: [kopps([], "closed")] },
+    { today: TODAY, timestamp: "2026-01-07T18:00:00.000Z" }
+  );
+
+  assert.deepEqual(
+    detected.map((c) => [c.standId, c.type]),
+    [
+      ["kopps-greenfield", "status-changed"],
+      ["leons-milwaukee", "stand-removed"],
+    ]
+  );
+});
+
+test("always-available flavors are not reported as daily changes", () => {
+  const detected = changes.diffDatasets(
+    { stands: [leons("2026-01-06")] },
+    { stands: [leons(TODAY)] },
+    { today: TODAY, timestamp: "2026-01-07T18:00:00.000Z" }
+  );
+
+  assert.deepEqual(detected, []);
+});
+
+test("getChanges filters by time and returns newest first", async () => {
+  const make = (timestamp) =>
+    changes.diffDatasets(
+      { stands: [kopps([])] },
+      { stands: [kopps([], "closed")] },
+      { today: TODAY, timestamp }
+    );
+  const recent = new Date().toISOString();
+
+  await changes.appendChanges(make("2000-01-01T00:00:00.000Z"));
+  await changes.appendChanges(make(recent));
+
+  // The first batch is past retention and was dropped
+  assert.equal((await changes.getChanges()).length, 1);
+  assert.equal((await changes.getChanges({ since: recent })).length, 0);
+  assert.equal(
+    (await changes.getChanges({ type: "status-changed" }))[0].timestamp,
+    recent
+  );
+});
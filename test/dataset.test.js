@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeDatasets } = require("../lib/dataset");
+
+const previous = {
+  timestamp: "2026-01-07T12:00:00.000Z",
+  lastUpdated: "1/7/2026, 6:00:00 AM",
+  totalLocations: 2,
+  stands: [
+    { id: "kopps-greenfield", flavors: ["old kopps"] },
+    { id: "gilles-milwaukee", flavors: ["old gilles"] },
+  ],
+  errors: [
+    { scraper: "Kopp's", standId: "kopps-greenfield", error: "stale" },
+    { scraper: "Gilles", standId: "gilles-milwaukee", error: "stale" },
+    { scraper: "Gilles", error: "Navigation timeout" },
+  ],
+};
+
+const partial = {
+  timestamp: "2026-01-07T18:00:00.000Z",
+  lastUpdated: "1/7/2026, 12:00:00 PM",
+  totalLocations: 1,
+  stands: [{ id: "gilles-milwaukee", flavors: ["new gilles"] }],
+  errors: [],
+};
+
+test("mergeDatasets replaces refreshed stands and keeps the rest", () => {
+  const merged = mergeDatasets(previous, partial, ["Gilles"]);
+
+  assert.deepEqual(merged.stands, [
+    { id: "kopps-greenfield", flavors: ["old kopps"] },
+    { id: "gilles-milwaukee", flavors: ["new gilles"] },
+  ]);
+  assert.equal(merged.totalLocations, 2);
+  assert.equal(merged.timestamp, partial.timestamp);
+  assert.deepEqual(merged.errors, [previous.errors[0]]);
+});
+
+test("mergeDatasets appends stands missing from the saved dataset", () => {
+  const merged = mergeDatasets(
+    { ...previous, stands: [previous.stands[0]] },
+    partial,
+    ["Gilles"]
+  );
+
+  assert.deepEqual(
+    merged.stands.map((s) => s.id),
+    ["kopps-greenfield", "gilles-milwaukee"]
+  );
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const dates = require("../lib/dates");
+
+const TODAY = "2026-01-07"; // a Wednesday
+
+test("todayIn uses the wall-clock date in the time zone", () => {
+  // 7:30 PM Central is already the next day in UTC
+  const evening = new Date("2026-01-08T01:30:00Z");
+
+  assert.equal(dates.todayIn("America/Chicago", evening), "2026-01-07");
+  assert.equal(dates.todayIn("UTC", evening), "2026-01-08");
+});
+
+test("resolves relative words, weekdays and month/day headers", () => {
+  const resolve = (text) => {
+    const { date, dayLabel } = dates.resolveDayHeader(text, TODAY);
+    return [date, dayLabel];
+  };
+
+  assert.deepEqual(resolve("Today"), ["2026-01-07", "today"]);
+  assert.deepEqual(resolve("Tomorrow – Thu 1/8"), ["2026-01-08", "tomorrow"]);
+  assert.deepEqual(resolve("Friday"), ["2026-01-09", "friday"]);
+  assert.deepEqual(resolve("Wed"), ["2026-01-07", "today"]);
+  assert.deepEqual(resolve("Tues"), ["2026-01-13", "tuesday"]);
+  assert.deepEqual(resolve("Sat 1/10"), ["2026-01-10", "saturday"]);
+  assert.deepEqual(resolve("Friday, January 9"), ["2026-01-09", "friday"]);
+  assert.equal(dates.resolveDayHeader("Sundae of the Month", TODAY), null);
+  assert.equal(dates.resolveDayHeader("Flavor Preview", TODAY), null);
+});
+
+test("month/day headers roll over into the nearest year", () => {
+  assert.equal(dates.resolveHeaderDate("Thu 1/1", "2025-12-30"), "2026-01-01");
+  assert.equal(
+    dates.resolveHeaderDate("Tue 12/30", "2026-01-02"),
+    "2025-12-30"
+  );
+  assert.equal(dates.resolveHeaderDate("2/29", "2028-02-27"), "2028-02-29");
+  assert.equal(dates.resolveHeaderDate("2/30", TODAY), null);
+});
+
+test("flags labels that contradict the resolved date", () => {
+  const mismatchedWeekday = dates.resolveDayHeader("Fri 1/8", TODAY);
+  assert.equal(mismatchedWeekday.date, "2026-01-08");
+  assert.equal(mismatchedWeekday.dayLabel, "tomorrow");
+  assert.equal(
+    mismatchedWeekday.conflict,
+    '"Fri 1/8" resolved to 2026-01-08, but 2026-01-08 is a thursday, not a friday'
+  );
+
+  const mismatchedRelative = dates.resolveDayHeader("Tomorrow 1/9", TODAY);
+  assert.match(mismatchedRelative.conflict, /tomorrow is 2026-01-08/);
+
+  assert.equal(dates.resolveDayHeader("Today – Wed 1/7", TODAY).conflict, null);
+});
+
+test("out-of-range dates are not ISO dates", () => {
+  assert.equal(dates.isIsoDate("2026-01-31"), true);
+  assert.equal(dates.isIsoDate("2026-13-01"), false);
+  assert.equal(dates.isIsoDate("2026-00-10"), false);
+  assert.equal(dates.isIsoDate("2026-02-30"), false);
+  assert.equal(dates.resolveDayHeader("2026-13-01", TODAY), null);
+});
+
+test("slash numbers that are not a month/day do not break header parsing", () => {
+  assert.equal(dates.resolveHeaderDate("13/5", TODAY), null);
+  assert.deepEqual(dates.resolveDayHeader("Open 24/7 Friday", TODAY), {
+    date: "2026-01-09",
+    dayLabel: "friday",
+    conflict: null,
+  });
+});
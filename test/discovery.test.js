@@ -0,0 +1,188 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const discovery = require("../lib/discovery");
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+function parseLocation(slug) {
+  return discovery.parseCulversLocationHtml(
+    loadFixture(`culvers-location-${slug}.html`),
+    slug
+  );
+}
+
+before(() => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "discovery-test-"));
+});
+
+after(() => {
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+test("directory: lists each restaurant slug once", () => {
+  assert.deepEqual(
+    discovery.parseCulversDirectoryHtml(
+      loadFixture("culvers-directory-wi.html")
+    ),
+    ["west-allis-layton", "milwaukee-fond-du-lac", "madison-east-towne"]
+  );
+});
+
+test("location: reads address, phone, coordinates and hours from JSON-LD", () => {
+  assert.deepEqual(parseLocation("west-allis-layton"), {
+    slug: "west-allis-layton",
+    location: "West Allis - W Layton Ave",
+    address: "6011 W Layton Ave, West Allis, WI",
+    phone: "414-327-5010",
+    latitude: 42.9586,
+    longitude: -87.9875,
+    website: "https://www.culvers.com/restaurants/west-allis-layton",
+    schedule: {
+      days: {
+        mon: [{ open: "10:00", close: "22:00" }],
+        tue: [{ open: "10:00", close: "22:00" }],
+        wed: [{ open: "10:00", close: "22:00" }],
+        thu: [{ open: "10:00", close: "22:00" }],
+        fri: [{ open: "10:00", close: "22:00" }],
+        sat: [{ open: "10:00", close: "22:00" }],
+        sun: [{ open: "10:00", close: "22:00" }],
+      },
+      closedDays: [],
+      exceptions: [],
+    },
+    hours: "10:00am - 10:00pm",
+  });
+});
+
+test("location: falls back to page markup without usable JSON-LD", () => {
+  const location = parseLocation("milwaukee-fond-du-lac");
+
+  assert.equal(location.address, "7440 W Fond du Lac Ave, Milwaukee, WI");
+  assert.equal(location.phone, "414-462-1221");
+  assert.equal(location.latitude, 43.1129);
+  assert.equal(location.schedule, undefined);
+  assert.equal(
+    discovery.parseCulversLocationHtml("<html><body></body></html>", "x"),
+    null
+  );
+});
+
+test("only locations within the radius are kept, nearest first", () => {
+  const locations = [
+    "west-allis-layton",
+    "milwaukee-fond-du-lac",
+    "madison-east-towne",
+  ].map(parseLocation);
+
+  assert.deepEqual(
+    discovery
+      .filterByRadius(locations, { lat: 43.0389, lng: -87.9065 }, 25)
+      .map((l) => l.slug),
+    ["west-allis-layton", "milwaukee-fond-du-lac"]
+  );
+});
+
+test("the cache is rediscovered weekly or when the area changes", async () => {
+  const savedAt = new Date("2026-01-07T06:00:00.000Z");
+  const cache = await discovery.saveCulversLocations(
+    [parseLocation("west-allis-layton")],
+    savedAt
+  );
+
+  assert.deepEqual(await discovery.loadCulversLocations(), cache);
+  assert.equal(discovery.needsDiscovery(null), true);
+  assert.equal(
+    discovery.needsDiscovery(cache, new Date("2026-01-10T06:00:00.000Z")),
+    false
+  );
+  assert.equal(
+    discovery.needsDiscovery(cache, new Date("2026-01-14T06:00:00.000Z")),
+    true
+  );
+  assert.equal(
+    discovery.needsDiscovery(
+      { ...cache, radiusMiles: 10 },
+      new Date("2026-01-10T06:00:00.000Z")
+    ),
+    true
+  );
+});
+
+test("an empty or badly shrunken rediscovery keeps the cache", async () => {
+  const locations = ["a", "b", "c", "d"].map((slug) => ({
+    ...parseLocation("west-allis-layton"),
+    slug: slug,
+  }));
+  const cache = await discovery.saveCulversLocations(locations);
+
+  await assert.rejects(
+    discovery.saveCulversLocations([]),
+    /found no Culver's locations/
+  );
+  await assert.rejects(
+    discovery.saveCulversLocations(locations.slice(0, 1)),
+    /found only 1 of 4 cached/
+  );
+  assert.deepEqual(await discovery.loadCulversLocations(), cache);
+  assert.deepEqual(
+    fs.readdirSync(CONFIG.DATA_DIR).filter((f) => f.startsWith("culvers")),
+    ["culvers-locations.json"]
+  );
+
+  // Losing one of four is a closure; a new area starts over
+  await discovery.saveCulversLocations(locations.slice(0, 3));
+  const radius = CONFIG.CULVERS_RADIUS_MILES;
+  CONFIG.CULVERS_RADIUS_MILES = 5;
+  try {
+    await discovery.saveCulversLocations(locations.slice(0, 1));
+  } finally {
+    CONFIG.CULVERS_RADIUS_MILES = radius;
+  }
+  assert.equal((await discovery.loadCulversLocations()).locations.length, 1);
+});
+
+test("discovered locations merge into the registry", () => {
+  const registry = [
+    { id: "kopps-greenfield", strategy: "kopps", name: "Kopp's" },
+    {
+      id: "culvers-fdl",
+      strategy: "culvers",
+      slug: "milwaukee-fond-du-lac",
+      name: "Culver's",
+      location: "Milwaukee - Fond du Lac Ave",
+      address: "Fond du Lac Ave, Milwaukee, WI",
+    },
+    {
+      id: "culvers-west-allis-layton",
+      strategy: "culvers",
+      enabled: false,
+      slug: "west-allis-layton",
+      name: "Culver's",
+      location: "West Allis",
+    },
+  ];
+  const merged = discovery.mergeCulversLocations(registry, [
+    parseLocation("west-allis-layton"),
+    parseLocation("milwaukee-fond-du-lac"),
+    parseLocation("madison-east-towne"),
+  ]);
+
+  assert.deepEqual(
+    merged.map((e) => [e.id, e.enabled]),
+    [
+      ["kopps-greenfield", undefined],
+      ["culvers-fdl", undefined],
+      ["culvers-west-allis-layton", false],
+      ["culvers-madison-east-towne", true],
+    ]
+  );
+  assert.equal(merged[1].address, "7440 W Fond du Lac Ave, Milwaukee, WI");
+  assert.equal(merged[3].strategy, "culvers");
+  assert.equal(merged[3].location, "Madison - East Towne Blvd");
+});
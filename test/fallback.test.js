@@ -0,0 +1,160 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyLastKnownGood } = require("../lib/fallback");
+
+const TODAY = "2026-01-07";
+const NOW = "2026-01-07T12:00:00.000Z";
+const PLACEHOLDER = { name: "Check website", description: "Visit website" };
+const OPTIONS = { today: TODAY, timestamp: NOW, placeholder: PLACEHOLDER };
+
+function day(date, names) {
+  return {
+    date: date,
+    dayLabel: "",
+    flavors: names.map((name) => ({ name: name, description: "" })),
+  };
+}
+
+function stand(flavors, extra = {}) {
+  return {
+    id: "kopps-greenfield",
+    name: "Kopp's Frozen Custard",
+    location: "Greenfield",
+    status: "open",
+    hours: "10:30am - 10:30pm",
+    flavors: flavors,
+    ...extra,
+  };
+}
+
+const previousData = {
+  timestamp: "2026-01-06T12:00:00.000Z",
+  stands: [
+    stand(
+      [
+        day("2026-01-06", ["Turtle"]),
+        day("2026-01-07", ["Butter Pecan"]),
+        day("2026-01-08", ["Mint Chip"]),
+      ],
+      { stale: false, lastSuccessfulScrape: "2026-01-06T12:00:00.000Z" }
+    ),
+  ],
+};
+
+test("fresh flavors win and record the successful scrape", () => {
+  const result = applyLastKnownGood(
+    stand([day(TODAY, ["Grasshopper Fudge"])]),
+    previousData,
+    OPTIONS
+  );
+
+  assert.equal(result.stale, false);
+  assert.equal(result.lastSuccessfulScrape, NOW);
+  assert.equal(result.flavors[0].flavors[0].name, "Grasshopper Fudge");
+});
+
+test("an empty scrape keeps upcoming previous flavors as stale", () => {
+  const result = applyLastKnownGood(stand([]), previousData, OPTIONS);
+
+  assert.equal(result.stale, true);
+  assert.equal(result.lastSuccessfulScrape, "2026-01-06T12:00:00.000Z");
+  assert.deepEqual(
+    result.flavors.map((d) => d.date),
+    ["2026-01-07", "2026-01-08"]
+  );
+});
+
+test("carried forward days are relabelled for today", () => {
+  const saved = {
+    timestamp: "2026-01-07T12:00:00.000Z",
+    stands: [
+      stand([
+        { ...day("2026-01-07", ["Butter Pecan"]), dayLabel: "today" },
+        { ...day("2026-01-08", ["Vanilla"]), dayLabel: "always" },
+        { ...day("2026-01-08", ["Mint Chip"]), dayLabel: "tomorrow" },
+        { ...day("2026-01-09", ["Turtle"]), dayLabel: "friday" },
+      ]),
+    ],
+  };
+
+  const result = applyLastKnownGood(stand([]), saved, {
+    ...OPTIONS,
+    today: "2026-01-08",
+  });
+
+  assert.deepEqual(
+    result.flavors.map((d) => [d.date, d.dayLabel]),
+    [
+      ["2026-01-08", "always"],
+      ["2026-01-08", "today"],
+      ["2026-01-09", "tomorrow"],
+    ]
+  );
+});
+
+test("a failed scrape keeps the previous status and hours", () => {
+  const result = applyLastKnownGood(
+    stand([], { status: "unknown", hours: "Check website" }),
+    previousData,
+    OPTIONS
+  );
+
+  assert.equal(result.status, "open");
+  assert.equal(result.hours, "10:30am - 10:30pm");
+});
+
+test("falls back to a placeholder when only past dates remain", () => {
+  const result = applyLastKnownGood(stand([]), previousData, {
+    ...OPTIONS,
+    today: "2026-01-09",
+  });
+
+  assert.equal(result.stale, false);
+  assert.equal(result.lastSuccessfulScrape, "2026-01-06T12:00:00.000Z");
+  assert.deepEqual(result.flavors, [
+    {
+      date: "2026-01-09",
+      dayLabel: "today",
+      placeholder: true,
+      flavors: [PLACEHOLDER],
+    },
+  ]);
+});
+
+test("previous placeholders are never carried forward", () => {
+  const placeholderData = {
+    timestamp: "2026-01-06T12:00:00.000Z",
+    stands: [
+      stand([{ ...day(TODAY, ["Check website"]), placeholder: true }], {
+        lastSuccessfulScrape: null,
+      }),
+    ],
+  };
+  const result = applyLastKnownGood(stand([]), placeholderData, OPTIONS);
+
+  assert.equal(result.stale, false);
+  assert.equal(result.lastSuccessfulScrape, null);
+  assert.equal(result.flavors[0].placeholder, true);
+});
+
+test("manual overrides are never carried forward", () => {
+  const manualData = {
+    timestamp: "2026-01-06T12:00:00.000Z",
+    stands: [
+      stand([{ ...day("2026-01-08", ["Weekend Special"]), source: "manual" }], {
+        lastSuccessfulScrape: null,
+      }),
+    ],
+  };
+  const result = applyLastKnownGood(stand([]), manualData, OPTIONS);
+
+  assert.equal(result.stale, false);
+  assert.equal(result.flavors[0].placeholder, true);
+});
+
+test("works without any previous dataset", () => {
+  const result = applyLastKnownGood(stand([]), null, OPTIONS);
+
+  assert.equal(result.lastSuccessfulScrape, null);
+  assert.equal(result.flavors[0].flavors[0].name, "Check website");
+});
@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { distanceMiles, findNearby, toGeoJSON } = require("../lib/geo");
+
+const TODAY = "2026-01-07";
+
+const stands = [
+  {
+    id: "kopps-greenfield",
+    name: "Kopp's Frozen Custard",
+    latitude: 42.959,
+    longitude: -88.008,
+    flavors: [
+      {
+        date: TODAY,
+        dayLabel: "today",
+        flavors: [{ name: "Turtle", description: "" }],
+      },
+      {
+        date: "2026-01-08",
+        dayLabel: "tomorrow",
+        flavors: [{ name: "Mint Chip", description: "" }],
+      },
+    ],
+  },
+  {
+    id: "kopps-glendale",
+    name: "Kopp's Frozen Custard",
+    latitude: 43.1139,
+    longitude: -87.9128,
+    flavors: [
+      {
+        date: TODAY,
+        dayLabel: "today",
+        placeholder: true,
+        flavors: [{ name: "Check website", description: "" }],
+      },
+    ],
+  },
+  { id: "no-coordinates", name: "Somewhere", flavors: [] },
+];
+
+test("distanceMiles matches a known distance", () => {
+  // Greenfield Kopp's to Glendale Kopp's is roughly 11.6 miles
+  const miles = distanceMiles(42.959, -88.008, 43.1139, -87.9128);
+  assert.ok(miles > 11 && miles < 12.5, `got ${miles}`);
+});
+
+test("findNearby sorts by distance and applies the radius", () => {
+  const nearGreenfield = findNearby(stands, {
+    lat: 42.96,
+    lng: -88.0,
+    radiusMiles: 50,
+  });
+  assert.deepEqual(
+    nearGreenfield.map((s) => s.id),
+    ["kopps-greenfield", "kopps-glendale"]
+  );
+  assert.ok(nearGreenfield[0].distanceMiles < 1);
+
+  const tight = findNearby(stands, { lat: 42.96, lng: -88.0, radiusMiles: 2 });
+  assert.deepEqual(
+    tight.map((s) => s.id),
+    ["kopps-greenfield"]
+  );
+});
+
+test("toGeoJSON emits points with today's real flavors", () => {
+  const geojson = toGeoJSON(stands, TODAY);
+
+  assert.equal(geojson.type, "FeatureCollection");
+  assert.equal(geojson.features.length, 2);
+  assert.deepEqual(geojson.features[0].geometry, {
+    type: "Point",
+    coordinates: [-88.008, 42.959],
+  });
+  assert.deepEqual(geojson.features[0].properties.todaysFlavors, [
+    { name: "Turtle", description: "" },
+  ]);
+  assert.deepEqual(geojson.features[1].properties.todaysFlavors, []);
+});
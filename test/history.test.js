@@ -0,0 +1,147 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const history = require("../lib/history");
+
+const retentionDays = CONFIG.HISTORY_RETENTION_DAYS;
+
+function dataset(date, flavor) {
+  return {
+    timestamp: `${date}T12:00:00.000Z`,
+    stands: [
+      {
+        id: "kopps-greenfield",
+        name: "Kopp's Frozen Custard",
+        location: "Greenfield",
+        status: "open",
+        flavors: [
+          {
+            date: date,
+            dayLabel: "today",
+            flavors: [{ name: flavor, description: "" }],
+          },
+          {
+            date: "2099-01-01",
+            dayLabel: "friday",
+            flavors: [{ name: "Not Yet Served", description: "" }],
+          },
+        ],
+      },
+      {
+        id: "gilles-milwaukee",
+        name: "Gilles Frozen Custard",
+        location: "Milwaukee",
+        status: "open",
+        flavors: [
+          {
+            date: date,
+            dayLabel: "today",
+            placeholder: true,
+            flavors: [{ name: "Check website", description: "" }],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+beforeEach(() => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "history-test-"));
+});
+
+afterEach(() => {
+  CONFIG.HISTORY_RETENTION_DAYS = retentionDays;
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+test("each day archives what the stands served that day", async () => {
+  await history.archiveFlavorData(
+    dataset("2026-01-07", "Turtle"),
+    "2026-01-07"
+  );
+
+  const archive = await history.loadArchive("2026-01-07");
+  assert.equal(archive.archivedAt, "2026-01-07T12:00:00.000Z");
+  assert.deepEqual(
+    archive.stands.map((stand) => [stand.id, stand.flavors]),
+    [
+      ["kopps-greenfield", [{ name: "Turtle", description: "" }]],
+      ["gilles-milwaukee", []],
+    ]
+  );
+
+  // A later scrape the same day replaces that day's archive
+  await history.archiveFlavorData(dataset("2026-01-07", "Mint"), "2026-01-07");
+  assert.deepEqual(await history.listArchiveDates(), ["2026-01-07"]);
+  assert.equal(
+    (await history.loadArchive("2026-01-07")).stands[0].flavors[0].name,
+    "Mint"
+  );
+});
+
+test("archives older than the retention period are pruned", async () => {
+  CONFIG.HISTORY_RETENTION_DAYS = 2;
+
+  for (const date of ["2026-01-04", "2026-01-05", "2026-01-06"]) {
+    await history.archiveFlavorData(dataset(date, "Turtle"), date);
+  }
+  assert.deepEqual(await history.listArchiveDates(), [
+    "2026-01-04",
+    "2026-01-05",
+    "2026-01-06",
+  ]);
+
+  await history.archiveFlavorData(
+    dataset("2026-01-07", "Turtle"),
+    "2026-01-07"
+  );
+  assert.deepEqual(await history.listArchiveDates(), [
+    "2026-01-05",
+    "2026-01-06",
+    "2026-01-07",
+  ]);
+});
+
+test("location history covers a date range and filters by flavor", async () => {
+  const served = [
+    ["2026-01-05", "Turtle"],
+    ["2026-01-06", "Butter Pecan"],
+    ["2026-01-07", "Turtle Sundae"],
+  ];
+  for (const [date, flavor] of served) {
+    await history.archiveFlavorData(dataset(date, flavor), date);
+  }
+
+  const range = await history.getLocationHistory("kopps-greenfield", {
+    from: "2026-01-06",
+    to: "2026-01-07",
+  });
+  assert.deepEqual(
+    range.map((day) => [day.date, day.flavors[0].name]),
+    [
+      ["2026-01-06", "Butter Pecan"],
+      ["2026-01-07", "Turtle Sundae"],
+    ]
+  );
+
+  const turtle = await history.getLocationHistory("kopps-greenfield", {
+    from: "2026-01-01",
+    to: "2026-01-07",
+    flavor: "TURTLE",
+  });
+  assert.deepEqual(
+    turtle.map((day) => day.date),
+    ["2026-01-05", "2026-01-07"]
+  );
+
+  assert.deepEqual(
+    await history.getLocationHistory("unknown", {
+      from: "2026-01-01",
+      to: "2026-01-07",
+    }),
+    []
+  );
+});
@@ -0,0 +1,110 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  computeOpenStatus,
+  lastTransition,
+  validateSchedule,
+} = require("../lib/hours");
+
+const TZ = "America/Chicago";
+
+const murfs = {
+  default: [{ open: "10:30", close: "21:00" }],
+  closedDays: ["mon"],
+  exceptions: [
+    { date: "2026-12-24", hours: [{ open: "10:30", close: "16:00" }] },
+    { date: "2026-12-25", closed: true, note: "Christmas Day" },
+  ],
+};
+
+test("open during regular hours", () => {
+  // Wednesday 2026-01-07, 12:00 CST
+  const result = computeOpenStatus(murfs, new Date("2026-01-07T18:00:00Z"), TZ);
+
+  assert.deepEqual(result, {
+    status: "open",
+    opensAt: "2026-01-07T10:30:00-06:00",
+    closesAt: "2026-01-07T21:00:00-06:00",
+  });
+});
+
+test("closed on a closed day, reporting the next opening", () => {
+  // Monday 2026-01-05, 12:00 CST
+  const result = computeOpenStatus(murfs, new Date("2026-01-05T18:00:00Z"), TZ);
+
+  assert.equal(result.status, "closed");
+  assert.equal(result.opensAt, "2026-01-06T10:30:00-06:00");
+});
+
+test("closed after hours, reopening the next day", () => {
+  // Wednesday 2026-01-07, 22:00 CST (Thursday 04:00 UTC)
+  const result = computeOpenStatus(murfs, new Date("2026-01-08T04:00:00Z"), TZ);
+
+  assert.equal(result.status, "closed");
+  assert.equal(result.opensAt, "2026-01-08T10:30:00-06:00");
+});
+
+test("holiday exceptions override the weekly hours", () => {
+  // Thursday 2026-12-24, 17:00 CST
+  const christmasEve = computeOpenStatus(
+    murfs,
+    new Date("2026-12-24T23:00:00Z"),
+    TZ
+  );
+  assert.equal(christmasEve.status, "closed");
+  assert.equal(christmasEve.opensAt, "2026-12-26T10:30:00-06:00");
+});
+
+test("ranges past midnight stay open into the next day", () => {
+  const lateNight = { default: [{ open: "18:00", close: "01:00" }] };
+  // Thursday 2026-01-08, 00:30 CST
+  const result = computeOpenStatus(
+    lateNight,
+    new Date("2026-01-08T06:30:00Z"),
+    TZ
+  );
+
+  assert.equal(result.status, "open");
+  assert.equal(result.closesAt, "2026-01-08T01:00:00-06:00");
+});
+
+test("reports daylight saving offsets", () => {
+  // Wednesday 2026-07-08, 12:00 CDT
+  const result = computeOpenStatus(murfs, new Date("2026-07-08T17:00:00Z"), TZ);
+
+  assert.equal(result.closesAt, "2026-07-08T21:00:00-05:00");
+});
+
+test("validateSchedule reports malformed entries", () => {
+  assert.deepEqual(validateSchedule(murfs), []);
+  assert.equal(
+    validateSchedule({
+      default: [{ open: "9am", close: "21:00" }],
+      closedDays: ["monday"],
+    }).length,
+    2
+  );
+});
+
+test("lastTransition finds the latest opening or closing", () => {
+  // Wednesday 2026-01-07, 12:00 CST: opened at 10:30
+  assert.equal(
+    lastTransition(murfs, new Date("2026-01-07T18:00:00Z"), TZ),
+    "2026-01-07T10:30:00-06:00"
+  );
+  // Tuesday 2026-01-06, 09:00 CST: closed since Sunday night (Monday closed)
+  assert.equal(
+    lastTransition(murfs, new Date("2026-01-06T15:00:00Z"), TZ),
+    "2026-01-04T21:00:00-06:00"
+  );
+  // 01:00 CST, after a range that ran past midnight closed at 00:30
+  assert.equal(
+    lastTransition(
+      { default: [{ open: "20:00", close: "00:30" }] },
+      new Date("2026-01-07T07:00:00Z"),
+      TZ
+    ),
+    "2026-01-07T00:30:00-06:00"
+  );
+  assert.equal(lastTransition({}, new Date("2026-01-07T18:00:00Z"), TZ), null);
+});
@@ -0,0 +1,123 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const zlib = require("zlib");
+const express = require("express");
+const { negotiateEncoding, sendCacheable } = require("../lib/httpcache");
+
+const body = {
+  timestamp: "2026-01-07T12:00:00.000Z",
+  stands: Array.from({ length: 50 }, (_, i) => ({
+    id: `stand-${i}`,
+    flavors: [{ name: "Turtle", description: "Caramel and pecans" }],
+  })),
+};
+
+let server;
+let baseUrl;
+
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(`${baseUrl}${path}`, { headers }, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => resolve({ res, body: Buffer.concat(chunks) }));
+      })
+      .on("error", reject);
+  });
+}
+
+before(async () => {
+  const app = express();
+  app.get("/data", (req, res) =>
+    sendCacheable(req, res, body, { lastModified: body.timestamp })
+  );
+  // Like /api/flavors: last modified at the later of the scrape and the
+  // latest status change
+  app.get("/live", (req, res) =>
+    sendCacheable(
+      req,
+      res,
+      { ...body, openNow: req.query.open === "1" },
+      { lastModified: req.query.changedAt }
+    )
+  );
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test("negotiateEncoding prefers brotli and honours q=0", () => {
+  assert.equal(negotiateEncoding("gzip, deflate, br"), "br");
+  assert.equal(negotiateEncoding("gzip, br;q=0"), "gzip");
+  assert.equal(negotiateEncoding("identity"), null);
+  assert.equal(negotiateEncoding("*"), "br");
+  assert.equal(negotiateEncoding(undefined), null);
+});
+
+test("responses carry validators and caching headers", async () => {
+  const { res, body: raw } = await get("/data");
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers.etag, /^"[\w-]+"$/);
+  assert.equal(res.headers["last-modified"], "Wed, 07 Jan 2026 12:00:00 GMT");
+  assert.match(res.headers["cache-control"], /^public, max-age=\d+$/);
+  assert.equal(res.headers["content-encoding"], undefined);
+  assert.deepEqual(JSON.parse(raw), body);
+});
+
+test("conditional requests get 304 Not Modified", async () => {
+  const { res: first } = await get("/data");
+
+  const byEtag = await get("/data", { "If-None-Match": first.headers.etag });
+  assert.equal(byEtag.res.statusCode, 304);
+  assert.equal(byEtag.body.length, 0);
+
+  const byDate = await get("/data", {
+    "If-Modified-Since": first.headers["last-modified"],
+  });
+  assert.equal(byDate.res.statusCode, 304);
+
+  const changed = await get("/data", { "If-None-Match": '"other"' });
+  assert.equal(changed.res.statusCode, 200);
+});
+
+test("bodies with live status revalidate against the latest change", async () => {
+  const { res: open } = await get("/live?open=1&changedAt=2026-01-07T16:30Z");
+  assert.equal(open.headers["last-modified"], "Wed, 07 Jan 2026 16:30:00 GMT");
+
+  const unchanged = await get("/live?open=1&changedAt=2026-01-07T16:30Z", {
+    "If-Modified-Since": open.headers["last-modified"],
+  });
+  assert.equal(unchanged.res.statusCode, 304);
+
+  // The stand closed after the client's copy, with no new scrape
+  const closed = await get("/live?open=0&changedAt=2026-01-08T03:00Z", {
+    "If-Modified-Since": open.headers["last-modified"],
+  });
+  assert.equal(closed.res.statusCode, 200);
+  assert.equal(JSON.parse(closed.body).openNow, false);
+});
+
+test("bodies are compressed when the client accepts it", async () => {
+  const br = await get("/data", { "Accept-Encoding": "br, gzip" });
+  assert.equal(br.res.headers["content-encoding"], "br");
+  assert.equal(br.res.headers.vary, "Accept-Encoding");
+  assert.deepEqual(JSON.parse(zlib.brotliDecompressSync(br.body)), body);
+
+  const gzip = await get("/data", { "Accept-Encoding": "gzip" });
+  assert.equal(gzip.res.headers["content-encoding"], "gzip");
+  assert.deepEqual(JSON.parse(zlib.gunzipSync(gzip.body)), body);
+  assert.notEqual(gzip.res.headers.etag, br.res.headers.etag);
+
+  const revalidated = await get("/data", {
+    "Accept-Encoding": "gzip",
+    "If-None-Match": gzip.res.headers.etag,
+  });
+  assert.equal(revalidated.res.statusCode, 304);
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const jobs = require("../lib/jobs");
+
+before(() => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-test-"));
+});
+
+after(() => {
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+test("only one job holds the scrape lock at a time", async () => {
+  const first = jobs.createJob("manual");
+  const second = jobs.createJob("cron");
+
+  assert.deepEqual(await jobs.acquireScrapeLock(first.id), { acquired: true });
+
+  const blocked = await jobs.acquireScrapeLock(second.id);
+  assert.equal(blocked.acquired, false);
+  assert.equal(blocked.holder.jobId, first.id);
+
+  // Releasing with the wrong id leaves the lock in place
+  await jobs.releaseScrapeLock(second.id);
+  assert.equal((await jobs.readLock()).jobId, first.id);
+
+  await jobs.releaseScrapeLock(first.id);
+  assert.equal(await jobs.readLock(), null);
+  assert.equal((await jobs.acquireScrapeLock(second.id)).acquired, true);
+  await jobs.releaseScrapeLock(second.id);
+});
+
+test("an expired lock is taken over", async () => {
+  const lockPath = path.join(CONFIG.DATA_DIR, "scrape.lock");
+  fs.writeFileSync(
+    lockPath,
+    JSON.stringify({ jobId: "crashed", expiresAt: Date.now() - 1000 })
+  );
+
+  const job = jobs.createJob("manual");
+  assert.equal((await jobs.acquireScrapeLock(job.id)).acquired, true);
+  assert.equal((await jobs.readLock()).jobId, job.id);
+  await jobs.releaseScrapeLock(job.id);
+});
+
+test("an unreadable lock counts as held until it is a TTL old", async () => {
+  const lockPath = path.join(CONFIG.DATA_DIR, "scrape.lock");
+  fs.writeFileSync(lockPath, "");
+
+  const job = jobs.createJob("manual");
+  const blocked = await jobs.acquireScrapeLock(job.id);
+  assert.equal(blocked.acquired, false);
+  assert.equal(blocked.holder.jobId, null);
+
+  const old = (Date.now() - CONFIG.SCRAPE_LOCK_TTL - 1000) / 1000;
+  fs.utimesSync(lockPath, old, old);
+  assert.equal((await jobs.acquireScrapeLock(job.id)).acquired, true);
+  await jobs.releaseScrapeLock(job.id);
+});
+
+test("only one of several contenders takes over an expired lock", async () => {
+  fs.writeFileSync(
+    path.join(CONFIG.DATA_DIR, "scrape.lock"),
+    JSON.stringify({ jobId: "crashed", expiresAt: Date.now() - 1000 })
+  );
+
+  const contenders = [1, 2, 3, 4, 5].map(() => jobs.createJob("manual"));
+  const results = await Promise.all(
+    contenders.map((job) => jobs.acquireScrapeLock(job.id))
+  );
+
+  const winners = contenders.filter((job, i) => results[i].acquired);
+  assert.equal(winners.length, 1);
+  assert.equal((await jobs.readLock()).jobId, winners[0].id);
+  assert.deepEqual(
+    fs.readdirSync(CONFIG.DATA_DIR).filter((f) => f.startsWith("scrape.")),
+    ["scrape.lock"]
+  );
+  await jobs.releaseScrapeLock(winners[0].id);
+});
+
+test("jobs round-trip through the job store, newest first", async () => {
+  const older = jobs.createJob("cron");
+  older.createdAt = "2026-01-07T12:00:00.000Z";
+  const newer = jobs.createJob("manual");
+  newer.scrapers.push({ name: "Kopp's", status: "running" });
+
+  await jobs.saveJob(older);
+  await jobs.saveJob(newer);
+
+  assert.deepEqual(await jobs.loadJob(newer.id), newer);
+  assert.equal(await jobs.loadJob("../flavors"), null);
+  assert.deepEqual(
+    (await jobs.listJobs()).map((job) => job.id),
+    [newer.id, older.id]
+  );
+});
+
+test("pruneJobs keeps the most recent jobs", async () => {
+  const limit = CONFIG.JOB_HISTORY_LIMIT;
+  CONFIG.JOB_HISTORY_LIMIT = 1;
+
+  try {
+    await jobs.pruneJobs();
+    assert.equal((await jobs.listJobs()).length, 1);
+  } finally {
+    CONFIG.JOB_HISTORY_LIMIT = limit;
+  }
+});
@@ -0,0 +1,120 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const metrics = require("../lib/metrics");
+const runlog = require("../lib/runlog");
+
+before(() => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "metrics-test-"));
+});
+
+after(() => {
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  metrics.resetMetrics();
+});
+
+test("scraper runs are rendered in Prometheus text format", () => {
+  metrics.recordScraperRun("Kopp's", {
+    durationMs: 4200,
+    outcome: "success",
+    flavorsFound: 6,
+  });
+  metrics.recordScraperRun("Kopp's", {
+    durationMs: 800,
+    outcome: "empty",
+    flavorsFound: 0,
+  });
+  metrics.navigationRetries.inc({ host: "kopps.com" });
+
+  const lines = metrics.renderMetrics().split("\n");
+
+  assert.ok(lines.includes("# TYPE custard_scrape_duration_seconds histogram"));
+  assert.ok(
+    lines.includes(
+      'custard_scrape_duration_seconds_bucket{scraper="Kopp\'s",le="1"} 1'
+    )
+  );
+  assert.ok(
+    lines.includes(
+      'custard_scrape_duration_seconds_bucket{scraper="Kopp\'s",le="+Inf"} 2'
+    )
+  );
+  assert.ok(
+    lines.includes('custard_scrape_duration_seconds_sum{scraper="Kopp\'s"} 5')
+  );
+  assert.ok(
+    lines.includes(
+      'custard_scrape_runs_total{scraper="Kopp\'s",outcome="empty"} 1'
+    )
+  );
+  assert.ok(
+    lines.includes('custard_scrape_flavors_found{scraper="Kopp\'s"} 0')
+  );
+  assert.ok(
+    lines.includes('custard_navigation_retries_total{host="kopps.com"} 1')
+  );
+});
+
+test("label values are escaped", () => {
+  const counter = metrics.createCounter("test_escape_total", "Escaping");
+  counter.inc({ value: 'a"b\\c' });
+
+  assert.match(
+    metrics.renderMetrics(),
+    /test_escape_total\{value="a\\"b\\\\c"\} 1/
+  );
+});
+
+function finishedJob(id, scrapers) {
+  return {
+    id,
+    trigger: "cron",
+    target: null,
+    status: "completed",
+    startedAt: "2026-01-07T12:00:00.000Z",
+    finishedAt: "2026-01-07T12:01:30.000Z",
+    scrapers,
+    result: { totalLocations: 11, errors: [] },
+    error: null,
+  };
+}
+
+test("the run log keeps recent runs newest first", async () => {
+  const limit = CONFIG.RUN_LOG_LIMIT;
+  CONFIG.RUN_LOG_LIMIT = 2;
+
+  try {
+    for (const id of ["one", "two", "three"]) {
+      await runlog.appendRun(
+        runlog.buildRun(
+          finishedJob(id, [
+            { name: "Gilles", outcome: "empty", flavorsFound: 0 },
+            { name: "Kopp's", outcome: "success", flavorsFound: 6 },
+          ])
+        )
+      );
+    }
+
+    const runs = await runlog.listRuns();
+    assert.deepEqual(
+      runs.map((run) => run.jobId),
+      ["three", "two"]
+    );
+    assert.equal(runs[0].durationMs, 90000);
+
+    const gilles = await runlog.listRuns({ scraper: "gilles", limit: 1 });
+    assert.equal(gilles.length, 1);
+    assert.deepEqual(
+      gilles[0].scrapers.map((s) => [s.name, s.outcome]),
+      [["Gilles", "empty"]]
+    );
+  } finally {
+    CONFIG.RUN_LOG_LIMIT = limit;
+  }
+});
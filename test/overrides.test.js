@@ -0,0 +1,294 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const overrides = require("../lib/overrides");
+const { applyLastKnownGood } = require("../lib/fallback");
+const { getLeonsMenu, parseGillesHtml } = require("../lib/parsers");
+const { normalizeStand } = require("../lib/schema");
+
+const TODAY = "2026-01-07";
+const NOW = new Date("2026-01-07T18:00:00.000Z");
+
+const input = (extra = {}) => ({
+  locationId: "leons-milwaukee",
+  from: "2026-01-09",
+  to: "2026-01-10",
+  flavors: [{ name: "Butter Pecan", description: "Weekend special" }],
+  note: "Posted on Leon's Facebook page",
+  ...extra,
+});
+
+const override = (extra = {}) => ({
+  id: "o1",
+  ...input(),
+  forced: false,
+  expiresAt: null,
+  ...extra,
+});
+
+function stand(flavors, extra = {}) {
+  return {
+    id: "leons-milwaukee",
+    name: "Leon's Frozen Custard",
+    flavors: flavors,
+    stale: false,
+    ...extra,
+  };
+}
+
+function day(date, names, extra = {}) {
+  return {
+    date: date,
+    dayLabel: "",
+    flavors: names.map((name) => ({ name: name, description: "" })),
+    ...extra,
+  };
+}
+
+const summarize = (result) =>
+  result.flavors.map((d) => [d.date, d.source || null, d.flavors[0].name]);
+
+beforeEach(() => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "overrides-test-"));
+});
+
+afterEach(() => {
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+test("validation covers dates, flavors, the source note and expiry", () => {
+  assert.deepEqual(overrides.validateOverride(input(), TODAY), []);
+  assert.deepEqual(
+    overrides.validateOverride(
+      {
+        from: "2026-01-10",
+        to: "2026-01-09",
+        flavors: [{ description: "no name" }],
+        expiresAt: "someday",
+        forced: "yes",
+      },
+      TODAY
+    ),
+    [
+      "locationId must be a stand id",
+      "to must not be before from",
+      "each flavor needs a name and an optional description",
+      "note must say where the flavors came from",
+      "expiresAt must be an ISO timestamp when provided",
+      "forced must be true or false",
+    ]
+  );
+  assert.deepEqual(
+    overrides.validateOverride(input({ to: "2026-02-09" }), TODAY),
+    ["an override can cover at most 31 days"]
+  );
+  assert.deepEqual(
+    overrides.validateOverride(
+      input({ from: "2026-01-01", to: "2026-01-06" }),
+      TODAY
+    ),
+    ["to has already passed"]
+  );
+});
+
+test("overrides replace placeholders and add missing dates", () => {
+  const result = overrides.applyOverrides(
+    stand([day(TODAY, ["Check in-store"], { placeholder: true })]),
+    [override({ from: TODAY })],
+    { today: TODAY, now: NOW }
+  );
+
+  assert.deepEqual(summarize(result), [
+    ["2026-01-07", "manual", "Butter Pecan"],
+    ["2026-01-08", "manual", "Butter Pecan"],
+    ["2026-01-09", "manual", "Butter Pecan"],
+    ["2026-01-10", "manual", "Butter Pecan"],
+  ]);
+  assert.equal(result.flavors[0].dayLabel, "today");
+  assert.equal(result.flavors[0].overrideId, "o1");
+  assert.equal(result.flavors[0].note, "Posted on Leon's Facebook page");
+});
+
+test("Leon's weekend special stand-in gives way to an override", () => {
+  const leons = normalizeStand(stand(getLeonsMenu(TODAY)), TODAY);
+  const result = overrides.applyOverrides(
+    leons,
+    [override({ from: TODAY, to: "2026-01-08" })],
+    { today: TODAY, now: NOW }
+  );
+
+  assert.deepEqual(summarize(result), [
+    ["2026-01-07", null, "Vanilla"],
+    ["2026-01-07", "manual", "Butter Pecan"],
+    ["2026-01-08", "manual", "Butter Pecan"],
+  ]);
+  assert.equal(result.flavors[0].dayLabel, "always");
+  assert.equal(result.flavors[0].conflict, undefined);
+});
+
+test("Gilles without a featured flavor gives way to an override", () => {
+  const gilles = normalizeStand(
+    {
+      ...stand([], { id: "gilles-milwaukee", name: "Gilles Frozen Custard" }),
+      ...parseGillesHtml("<html><body></body></html>", TODAY),
+    },
+    TODAY
+  );
+  const served = applyLastKnownGood(gilles, null, {
+    today: TODAY,
+    timestamp: NOW.toISOString(),
+    placeholder: { name: "Check website", description: "" },
+  });
+  const result = overrides.applyOverrides(
+    served,
+    [override({ locationId: "gilles-milwaukee", from: TODAY, to: TODAY })],
+    { today: TODAY, now: NOW }
+  );
+
+  assert.deepEqual(summarize(result), [
+    ["2026-01-07", "manual", "Butter Pecan"],
+  ]);
+});
+
+test("fresh scraped days win unless the override is forced", () => {
+  const scraped = stand([
+    day(TODAY, ["Vanilla"]),
+    day("2026-01-09", ["Turtle"]),
+  ]);
+
+  assert.deepEqual(
+    summarize(
+      overrides.applyOverrides(scraped, [override()], {
+        today: TODAY,
+        now: NOW,
+      })
+    ),
+    [
+      ["2026-01-07", null, "Vanilla"],
+      ["2026-01-09", null, "Turtle"],
+      ["2026-01-10", "manual", "Butter Pecan"],
+    ]
+  );
+  assert.deepEqual(
+    summarize(
+      overrides.applyOverrides(scraped, [override({ forced: true })], {
+        today: TODAY,
+        now: NOW,
+      })
+    ),
+    [
+      ["2026-01-07", null, "Vanilla"],
+      ["2026-01-09", "manual", "Butter Pecan"],
+      ["2026-01-10", "manual", "Butter Pecan"],
+    ]
+  );
+});
+
+test("stale days give way to overrides", () => {
+  const result = overrides.applyOverrides(
+    stand([day("2026-01-09", ["Turtle"])], { stale: true }),
+    [override()],
+    { today: TODAY, now: NOW }
+  );
+
+  assert.equal(result.flavors[0].source, "manual");
+});
+
+test("expired overrides and other stands are left out", () => {
+  const scraped = stand([]);
+  const result = overrides.applyOverrides(
+    scraped,
+    [
+      override({ expiresAt: "2026-01-07T12:00:00.000Z" }),
+      override({ from: "2026-01-01", to: "2026-01-06" }),
+      override({ locationId: "gilles-milwaukee" }),
+    ],
+    { today: TODAY, now: NOW }
+  );
+
+  assert.equal(result, scraped);
+});
+
+test("reapplying swaps manual days for the current overrides", () => {
+  const served = overrides.applyOverrides(
+    stand([day(TODAY, ["Vanilla"])]),
+    [override()],
+    { today: TODAY, now: NOW }
+  );
+
+  const replaced = overrides.reapplyOverrides(
+    served,
+    [override({ id: "o2", from: "2026-01-08", to: "2026-01-08" })],
+    { today: TODAY, now: NOW }
+  );
+  assert.deepEqual(summarize(replaced), [
+    ["2026-01-07", null, "Vanilla"],
+    ["2026-01-08", "manual", "Butter Pecan"],
+  ]);
+  assert.equal(replaced.flavors[1].overrideId, "o2");
+
+  const deleted = overrides.reapplyOverrides(served, [], {
+    today: TODAY,
+    now: NOW,
+  });
+  assert.deepEqual(summarize(deleted), [["2026-01-07", null, "Vanilla"]]);
+
+  const untouched = stand([day(TODAY, ["Vanilla"])]);
+  assert.equal(
+    overrides.reapplyOverrides(untouched, [], { today: TODAY, now: NOW }),
+    untouched
+  );
+});
+
+test("overrides are stored, listed and deleted", async () => {
+  const created = await overrides.createOverride(
+    input({ expiresAt: "2026-01-10T23:00:00-06:00", forced: true }),
+    { today: TODAY, createdBy: "abcd1234" }
+  );
+
+  assert.equal(created.expiresAt, "2026-01-11T05:00:00.000Z");
+  assert.equal(created.forced, true);
+  assert.equal(created.createdBy, "abcd1234");
+  assert.deepEqual(await overrides.listOverrides(), [created]);
+
+  assert.equal(await overrides.deleteOverride("missing"), false);
+  assert.equal(await overrides.deleteOverride(created.id), true);
+  assert.deepEqual(await overrides.listOverrides(), []);
+});
+
+test("creating an override drops the ones that have ended", async () => {
+  const ended = await overrides.createOverride(
+    input({ from: "2026-01-05", to: "2026-01-06" }),
+    { today: "2026-01-05" }
+  );
+  const current = await overrides.createOverride(input(), { today: TODAY });
+
+  const stored = await overrides.listOverrides();
+  assert.deepEqual(
+    stored.map((o) => o.id),
+    [current.id]
+  );
+  assert.notEqual(ended.id, current.id);
+});
+
+test("concurrent creates and deletes keep every change", async () => {
+  const kept = await overrides.createOverride(input(), { today: TODAY });
+  const created = await Promise.all([
+    overrides.createOverride(input(), { today: TODAY }),
+    overrides.createOverride(input(), { today: TODAY }),
+    overrides.createOverride(input(), { today: TODAY }),
+    overrides.deleteOverride(kept.id),
+  ]);
+
+  const stored = await overrides.listOverrides();
+  assert.deepEqual(
+    stored.map((o) => o.id).sort(),
+    created
+      .slice(0, 3)
+      .map((o) => o.id)
+      .sort()
+  );
+});
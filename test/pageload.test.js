@@ -0,0 +1,127 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const pageload = require("../lib/pageload");
+
+let server;
+let baseUrl;
+let failuresLeft = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/flaky" && failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(503).end();
+    } else if (req.url === "/missing") {
+      res.writeHead(404).end();
+    } else {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(`<html><body>${req.headers["user-agent"]}</body></html>`);
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test("browser scrapes skip images, fonts, media and analytics", () => {
+  assert.equal(
+    pageload.shouldBlockRequest("image", "https://kopps.com/logo.png"),
+    true
+  );
+  assert.equal(
+    pageload.shouldBlockRequest("font", "https://fonts.gstatic.com/a.woff2"),
+    true
+  );
+  assert.equal(
+    pageload.shouldBlockRequest(
+      "script",
+      "https://www.googletagmanager.com/gtag/js?id=G-1"
+    ),
+    true
+  );
+  assert.equal(
+    pageload.shouldBlockRequest("script", "https://connect.facebook.net/x.js"),
+    true
+  );
+  assert.equal(
+    pageload.shouldBlockRequest(
+      "script",
+      "https://www.murfsfrozencustard.com/app.js"
+    ),
+    false
+  );
+  assert.equal(
+    pageload.shouldBlockRequest("document", "https://notgoogle-analytics.com/"),
+    false
+  );
+});
+
+test("fetchHtml returns the served HTML", async () => {
+  const html = await pageload.fetchHtml(`${baseUrl}/page`);
+
+  assert.match(html, /Milwaukee-Custard-Tracker/);
+});
+
+test("fetchHtml retries failed responses and gives up after three", async () => {
+  failuresLeft = 2;
+  assert.match(
+    await pageload.fetchHtml(`${baseUrl}/flaky`, { retryDelay: 0 }),
+    /<body>/
+  );
+
+  await assert.rejects(
+    pageload.fetchHtml(`${baseUrl}/missing`, { retryDelay: 0 }),
+    /HTTP 404/
+  );
+});
+
+test("fetchHtml waits for the throttle before every attempt", async () => {
+  failuresLeft = 2;
+  const waits = [];
+  await pageload.fetchHtml(`${baseUrl}/flaky`, {
+    retryDelay: 0,
+    throttle: async (url) => waits.push(url),
+  });
+
+  assert.deepEqual(waits, [
+    `${baseUrl}/flaky`,
+    `${baseUrl}/flaky`,
+    `${baseUrl}/flaky`,
+  ]);
+});
+
+test(
+  "memory covers a process and its children",
+  { skip: process.platform !== "linux" && "needs /proc" },
+  async () => {
+    const rss = await pageload.processTreeRssBytes(process.pid);
+
+    assert.ok(rss > 0);
+    assert.equal(await pageload.processTreeRssBytes(2 ** 30), null);
+  }
+);
+
+test("the memory sampler keeps each field's peak until stopped", async () => {
+  const readings = [
+    { rssBytes: 10, browserRssBytes: null },
+    { rssBytes: 30, browserRssBytes: 5 },
+    { rssBytes: 20, browserRssBytes: 7 },
+  ];
+  let calls = 0;
+  const stop = pageload.startMemorySampler(
+    async () => readings[Math.min(calls++, readings.length - 1)],
+    5
+  );
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.deepEqual(await stop(), { rssBytes: 30, browserRssBytes: 7 });
+
+  // Nothing is sampled once stopped
+  const sampled = calls;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(calls, sampled);
+});
@@ -0,0 +1,213 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  parseKoppsHtml,
+  parseMurfsHtml,
+  parseCulversHtml,
+  parseGillesHtml,
+} = require("../lib/parsers");
+
+// Fixtures were captured on Wednesday, January 7, 2026
+const TODAY = "2026-01-07";
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+test("Kopp's: parses every day header with its flavors", () => {
+  const days = parseKoppsHtml(loadFixture("kopps-flavor-preview.html"), TODAY);
+
+  assert.deepEqual(
+    days.map((d) => [d.date, d.dayLabel, d.flavors.length]),
+    [
+      ["2026-01-07", "today", 2],
+      ["2026-01-08", "tomorrow", 2],
+      ["2026-01-09", "friday", 2],
+      ["2026-01-10", "saturday", 0],
+    ]
+  );
+  assert.deepEqual(days[0].flavors[1], {
+    name: "Turtle",
+    description: "Vanilla custard with caramel, fudge and pecans.",
+  });
+});
+
+test("Kopp's: flavors without a description get a placeholder", () => {
+  const days = parseKoppsHtml(loadFixture("kopps-flavor-preview.html"), TODAY);
+
+  assert.deepEqual(days[1].flavors[1], {
+    name: "Snicker's Bar",
+    description: "No description available",
+  });
+});
+
+test("Kopp's: headers dated into the new year resolve to next year", () => {
+  const html = "<h2>Wed 12/31</h2><h3>Turtle</h3><h2>Thu 1/1</h2><h3>Mint</h3>";
+
+  assert.deepEqual(
+    parseKoppsHtml(html, "2025-12-31").map((d) => [d.date, d.dayLabel]),
+    [
+      ["2025-12-31", "today"],
+      ["2026-01-01", "tomorrow"],
+    ]
+  );
+});
+
+test("Kopp's: contradictory day labels are flagged", () => {
+  const days = parseKoppsHtml("<h2>Tomorrow – Fri 1/9</h2>", TODAY);
+
+  assert.equal(days[0].date, "2026-01-09");
+  assert.equal(days[0].dayLabel, "friday");
+  assert.match(days[0].conflict, /tomorrow is 2026-01-08/);
+});
+
+test("Kopp's: a page without day headers yields no days", () => {
+  assert.deepEqual(parseKoppsHtml("<html><body></body></html>", TODAY), []);
+});
+
+test("Murf's: parses one flavor per forecast card", () => {
+  const days = parseMurfsHtml(loadFixture("murfs-flavor-forecast.html"), TODAY);
+
+  assert.deepEqual(days, [
+    {
+      date: "2026-01-07",
+      dayLabel: "today",
+      flavors: [
+        {
+          name: "Butterfinger",
+          description:
+            "Vanilla frozen custard with crushed Butterfinger pieces",
+        },
+      ],
+    },
+    {
+      date: "2026-01-08",
+      dayLabel: "tomorrow",
+      flavors: [
+        {
+          name: "Caramel Cashew",
+          description:
+            "Vanilla frozen custard, caramel swirl and roasted cashews",
+        },
+      ],
+    },
+    {
+      date: "2026-01-09",
+      dayLabel: "friday",
+      flavors: [{ name: "Chocolate Oreo", description: "" }],
+    },
+  ]);
+});
+
+test("Culver's: parses forecast days and skips the hours table", () => {
+  const days = parseCulversHtml(loadFixture("culvers-restaurant.html"), TODAY);
+
+  assert.deepEqual(
+    days.map((d) => [d.date, d.dayLabel, d.flavors[0].name]),
+    [
+      ["2026-01-07", "today", "Turtle"],
+      ["2026-01-08", "tomorrow", "Mint Explosion"],
+      ["2026-01-09", "friday", "Double Strawberry"],
+    ]
+  );
+});
+
+test("Culver's: reads the whole forecast from embedded page data", () => {
+  const days = parseCulversHtml(
+    loadFixture("culvers-restaurant-page-data.html"),
+    TODAY
+  );
+
+  // Tuesday's entry is already past
+  assert.deepEqual(
+    days.map((d) => [d.date, d.dayLabel, d.flavors[0].name]),
+    [
+      ["2026-01-07", "today", "Turtle"],
+      ["2026-01-08", "tomorrow", "Mint Explosion"],
+      ["2026-01-09", "friday", "Double Strawberry"],
+    ]
+  );
+  assert.deepEqual(days[0].flavors[0], {
+    name: "Turtle",
+    description:
+      "Vanilla Fresh Frozen Custard swirled with caramel, fudge and pecan pieces.",
+    imageUrl: "https://cdn.culvers.com/menu-item-detail/turtle.png",
+    url: "https://www.culvers.com/flavor-of-the-day/turtle",
+  });
+  assert.equal(
+    days[1].flavors[0].imageUrl,
+    "https://www.culvers.com/images/flavors/mint-explosion.png"
+  );
+  assert.equal(days[2].flavors[0].imageUrl, undefined);
+});
+
+test("Culver's: falls back to the page markup when page data is unusable", () => {
+  const html = loadFixture("culvers-restaurant.html").replace(
+    "</body>",
+    '<script id="__NEXT_DATA__" type="application/json">{"props":</script></body>'
+  );
+  const days = parseCulversHtml(html, TODAY);
+
+  assert.equal(days.length, 3);
+  assert.deepEqual(days[0].flavors[0], {
+    name: "Turtle",
+    description: "",
+    url: "https://www.culvers.com/flavor-of-the-day/turtle",
+  });
+});
+
+test("Gilles: reads the featured flavor when open", () => {
+  const result = parseGillesHtml(loadFixture("gilles-open.html"), TODAY);
+
+  assert.equal(result.status, "open");
+  assert.deepEqual(result.flavors, [
+    {
+      date: TODAY,
+      dayLabel: "today",
+      flavors: [
+        {
+          name: "Flavor of the Day: Caramel Cashew",
+          description:
+            "Vanilla custard with a ribbon of caramel and roasted cashews.",
+        },
+      ],
+    },
+  ]);
+});
+
+test("Gilles: reports the winter closure and reopening date", () => {
+  const result = parseGillesHtml(
+    loadFixture("gilles-closed-winter.html"),
+    TODAY
+  );
+
+  assert.equal(result.status, "closed");
+  assert.equal(result.hours, "Reopens January 8th, 2026");
+  assert.deepEqual(result.flavors[0].flavors, [
+    { name: "Closed for Winter", description: "Returning January 8th, 2026" },
+  ]);
+});
+
+test("Gilles: marks the day a placeholder when no flavor is featured", () => {
+  const result = parseGillesHtml(
+    "<html><body><p>Stop in for frozen custard today!</p></body></html>",
+    TODAY
+  );
+
+  assert.equal(result.status, "open");
+  assert.deepEqual(result.flavors, [
+    {
+      date: TODAY,
+      dayLabel: "today",
+      placeholder: true,
+      flavors: [
+        {
+          name: "Check in-store",
+          description: "Visit Gilles for today's special flavor",
+        },
+      ],
+    },
+  ]);
+});
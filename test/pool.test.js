@@ -0,0 +1,107 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("../lib/pool");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function fakePage(id) {
+  let closed = false;
+  return {
+    id,
+    isClosed: () => closed,
+    close: async () => {
+      closed = true;
+    },
+  };
+}
+
+test("the limiter never runs more than `limit` tasks at once", async () => {
+  const run = pool.createLimiter(2);
+  let active = 0;
+  let peak = 0;
+  const started = [];
+
+  const results = await Promise.all(
+    [30, 10, 10, 10, 10].map((ms, i) =>
+      run(async () => {
+        started.push(i);
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(ms);
+        active--;
+        return i;
+      })
+    )
+  );
+
+  assert.equal(peak, 2);
+  assert.deepEqual(started, [0, 1, 2, 3, 4]);
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+});
+
+test("the throttle spaces out one host but not others", async () => {
+  const wait = pool.createDomainThrottle(40);
+  const startedAt = Date.now();
+  const times = {};
+
+  await Promise.all(
+    [
+      ["a1", "https://a.example/1"],
+      ["a2", "https://a.example/2"],
+      ["b1", "https://b.example/1"],
+    ].map(async ([name, url]) => {
+      await wait(url);
+      times[name] = Date.now() - startedAt;
+    })
+  );
+
+  assert.ok(times.a1 < 30);
+  assert.ok(times.a2 >= 35);
+  assert.ok(times.b1 < 30);
+});
+
+test("withTimeout rejects a load that never settles", async () => {
+  await assert.rejects(
+    pool.withTimeout(new Promise(() => {}), 20, "Timed out"),
+    /Timed out/
+  );
+  assert.equal(await pool.withTimeout(Promise.resolve("ok"), 20, "x"), "ok");
+});
+
+test("the page pool reuses pages and waits when all are busy", async () => {
+  let opened = 0;
+  const pages = pool.createPagePool({
+    size: 2,
+    openPage: async () => fakePage(++opened),
+  });
+
+  const first = await pages.acquire();
+  const second = await pages.acquire();
+  const third = pages.acquire();
+  assert.equal(pages.openPages, 2);
+
+  pages.release(first);
+  assert.equal((await third).id, first.id);
+
+  // A destroyed page frees its slot for a new one
+  const fourth = pages.acquire();
+  await pages.destroy(second);
+  assert.equal((await fourth).id, 3);
+  assert.equal(second.isClosed(), true);
+  assert.equal(pages.openPages, 2);
+});
+
+test("the page pool skips pages closed with their browser", async () => {
+  let opened = 0;
+  const pages = pool.createPagePool({
+    size: 1,
+    openPage: async () => fakePage(++opened),
+  });
+
+  const page = await pages.acquire();
+  pages.release(page);
+  await page.close();
+
+  assert.equal((await pages.acquire()).id, 2);
+  assert.equal(pages.openPages, 1);
+});
@@ -0,0 +1,81 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const registry = require("../lib/registry");
+
+const STRATEGIES = ["kopps", "murfs", "culvers", "leons-static", "gilles"];
+const bundled = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "..", "data", "stands.json"), "utf8")
+);
+
+function writeRegistry(entries) {
+  fs.writeFileSync(
+    path.join(CONFIG.DATA_DIR, "stands.json"),
+    JSON.stringify(entries)
+  );
+}
+
+beforeEach(() => {
+  CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "registry-test-"));
+});
+
+afterEach(() => {
+  fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+});
+
+test("a missing registry is seeded from the bundled copy", async () => {
+  const stands = await registry.loadStandRegistry(STRATEGIES);
+
+  assert.deepEqual(
+    JSON.parse(
+      fs.readFileSync(path.join(CONFIG.DATA_DIR, "stands.json"), "utf8")
+    ),
+    bundled
+  );
+  assert.deepEqual(
+    stands.map((s) => s.id),
+    bundled.filter((s) => s.enabled !== false).map((s) => s.id)
+  );
+});
+
+test("an older registry picks up new bundled fields", async () => {
+  writeRegistry([
+    // Seeded before stands had schedules and coordinates
+    {
+      id: "kopps-greenfield",
+      strategy: "kopps",
+      name: "Kopp's (Layton Ave)",
+      location: "Greenfield",
+    },
+    {
+      id: "kopps-brookfield",
+      strategy: "kopps",
+      name: "Kopp's Frozen Custard",
+      location: "Brookfield",
+      schedule: null,
+    },
+    {
+      id: "local-stand",
+      strategy: "gilles",
+      name: "Local Stand",
+      location: "Wauwatosa",
+    },
+  ]);
+
+  const stands = await registry.loadStandRegistry(STRATEGIES);
+  const greenfield = bundled.find((s) => s.id === "kopps-greenfield");
+
+  assert.deepEqual(
+    stands.map((s) => s.id),
+    ["kopps-greenfield", "kopps-brookfield", "local-stand"]
+  );
+  assert.equal(stands[0].name, "Kopp's (Layton Ave)");
+  assert.equal(stands[0].latitude, greenfield.latitude);
+  assert.deepEqual(stands[0].schedule, greenfield.schedule);
+  assert.equal(stands[1].schedule, null);
+  assert.ok(stands[1].latitude);
+  assert.equal(stands[2].latitude, undefined);
+});
@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeStand } = require("../lib/schema");
+
+const TODAY = "2026-01-07";
+
+test("nested days keep their placeholder flag", () => {
+  const stand = normalizeStand(
+    {
+      id: "gilles-milwaukee",
+      flavors: [
+        {
+          date: TODAY,
+          dayLabel: "today",
+          placeholder: true,
+          flavors: [{ name: "Check in-store", description: "" }],
+        },
+        {
+          date: "2026-01-08",
+          dayLabel: "tomorrow",
+          placeholder: false,
+          flavors: [{ name: "Turtle", description: "" }],
+        },
+      ],
+    },
+    TODAY
+  );
+
+  assert.deepEqual(stand.flavors, [
+    {
+      date: TODAY,
+      dayLabel: "today",
+      placeholder: true,
+      flavors: [{ name: "Check in-store", description: "" }],
+    },
+    {
+      date: "2026-01-08",
+      dayLabel: "tomorrow",
+      flavors: [{ name: "Turtle", description: "" }],
+    },
+  ]);
+});
@@ -0,0 +1,127 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const search = require("../lib/search");
+
+const TODAY = "2026-01-07";
+
+const data = {
+  stands: [
+    {
+      id: "kopps-greenfield",
+      name: "Kopp's Frozen Custard",
+      location: "Greenfield",
+      flavors: [
+        {
+          date: TODAY,
+          dayLabel: "today",
+          flavors: [
+            { name: "Turtle", description: "Caramel and pecans" },
+            { name: "Snickers Bar", description: "" },
+          ],
+        },
+        {
+          date: "2026-01-08",
+          dayLabel: "tomorrow",
+          flavors: [{ name: "Crème Brûlée", description: "" }],
+        },
+      ],
+    },
+    {
+      id: "culvers-west-allis",
+      name: "Culver's",
+      location: "West Allis",
+      flavors: [
+        {
+          date: TODAY,
+          dayLabel: "today",
+          flavors: [
+            {
+              name: "Chocolate Covered Strawberry",
+              description:
+                "Chocolate custard with a turtle-style caramel swirl",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      id: "gilles-milwaukee",
+      name: "Gilles Frozen Custard",
+      flavors: [
+        {
+          date: TODAY,
+          dayLabel: "today",
+          placeholder: true,
+          flavors: [
+            {
+              name: "Check in-store",
+              description: "Visit Gilles for today's special flavor",
+            },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+const find = (q, filters = {}) =>
+  search
+    .searchFlavors(data, { q, ...filters })
+    .map((r) => [r.standId, r.flavor]);
+
+test("normalization drops case, accents and punctuation", () => {
+  assert.equal(search.normalizeText("  Crème  Brûlée! "), "creme brulee");
+  assert.equal(search.normalizeText("Snicker's"), "snickers");
+  assert.equal(search.normalizeText("Kopp’s"), "kopps");
+
+  assert.deepEqual(find("creme brulee"), [
+    ["kopps-greenfield", "Crème Brûlée"],
+  ]);
+  assert.deepEqual(find("SNICKER'S"), [["kopps-greenfield", "Snickers Bar"]]);
+});
+
+test("small typos are tolerated, unrelated words are not", () => {
+  assert.equal(search.levenshtein("turtle", "turtel"), 2);
+  assert.deepEqual(find("turtel"), [["kopps-greenfield", "Turtle"]]);
+  assert.deepEqual(find("strawbery"), [
+    ["culvers-west-allis", "Chocolate Covered Strawberry"],
+  ]);
+  assert.deepEqual(find("pistachio"), []);
+});
+
+test("name matches rank above description matches", () => {
+  const results = search.searchFlavors(data, { q: "turtle" });
+
+  assert.deepEqual(
+    results.map((r) => [r.standId, r.flavor]),
+    [
+      ["kopps-greenfield", "Turtle"],
+      ["culvers-west-allis", "Chocolate Covered Strawberry"],
+    ]
+  );
+  assert.ok(results[0].score > results[1].score);
+  assert.equal(results[0].chain, "kopps");
+  assert.equal(results[0].dayLabel, "today");
+});
+
+test("results can be limited by date, chain and stand", () => {
+  assert.deepEqual(find("chocolate", { chain: "Culver's" }), [
+    ["culvers-west-allis", "Chocolate Covered Strawberry"],
+  ]);
+  assert.deepEqual(find("chocolate", { chain: "kopps" }), []);
+  assert.deepEqual(find("brulee", { date: TODAY }), []);
+  assert.deepEqual(find("turtle", { locationId: "culvers-west-allis" }), [
+    ["culvers-west-allis", "Chocolate Covered Strawberry"],
+  ]);
+});
+
+test("placeholder days never match a search", () => {
+  assert.deepEqual(find("check"), []);
+  assert.equal(
+    search.matchesFlavor("check in store", {
+      name: "Check in-store",
+      description: "",
+    }),
+    true
+  );
+});
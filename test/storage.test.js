@@ -0,0 +1,220 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CONFIG = require("../lib/config");
+const { createStorage } = require("../lib/storage");
+
+let hasSqlite = true;
+try {
+  require("better-sqlite3");
+} catch {
+  hasSqlite = false;
+}
+
+const dataset = (timestamp, flavor) => ({
+  timestamp,
+  lastUpdated: "1/7/2026, 12:00:00 PM",
+  totalLocations: 2,
+  stands: [
+    {
+      id: "kopps-greenfield",
+      name: "Kopp's Frozen Custard",
+      location: "Greenfield",
+      status: "open",
+      stale: false,
+      lastSuccessfulScrape: timestamp,
+      flavors: [
+        {
+          date: "2026-01-07",
+          dayLabel: "today",
+          flavors: [
+            { name: flavor, description: "", flavorId: "turtle", tags: [] },
+            { name: "Mint Chip", description: "Mint with chips" },
+          ],
+        },
+        {
+          date: "2026-01-08",
+          dayLabel: "tomorrow",
+          source: "manual",
+          overrideId: "3f1c2b9e-5a7d-4e8f-9b6a-1c2d3e4f5a6b",
+          note: "Posted on the stand's Facebook page",
+          flavors: [{ name: "Butter Pecan", description: "" }],
+        },
+        {
+          date: "2026-01-09",
+          dayLabel: "friday",
+          conflict: '2026-01-09 is listed as both "friday" and "saturday"',
+          flavors: [],
+        },
+      ],
+    },
+    {
+      id: "murfs-milwaukee",
+      name: "Murf's Frozen Custard",
+      location: "Milwaukee",
+      status: "closed",
+      flavors: [
+        {
+          date: "2026-01-07",
+          dayLabel: "today",
+          flavors: [],
+          placeholder: true,
+        },
+      ],
+    },
+  ],
+  errors: [
+    {
+      scraper: "Murf's",
+      standId: "murfs-milwaukee",
+      error: "Timeout",
+      timestamp,
+    },
+  ],
+});
+
+const run = (jobId, finishedAt, scrapers) => ({
+  jobId,
+  trigger: "cron",
+  target: null,
+  status: "completed",
+  startedAt: finishedAt,
+  finishedAt,
+  durationMs: 1000,
+  totalLocations: 2,
+  errorCount: 0,
+  error: null,
+  scrapers: scrapers.map((name) => ({
+    name,
+    outcome: "success",
+    durationMs: 500,
+    stands: 1,
+    freshStands: 1,
+    flavorsFound: 2,
+    error: null,
+  })),
+});
+
+for (const backend of ["json", "sqlite"]) {
+  describe(
+    `${backend} storage`,
+    { skip: backend === "sqlite" && !hasSqlite },
+    () => {
+      let storage;
+
+      before(() => {
+        CONFIG.DATA_DIR = fs.mkdtempSync(
+          path.join(os.tmpdir(), "storage-test-")
+        );
+        storage = createStorage(backend);
+      });
+
+      after(async () => {
+        await storage.close();
+        fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+      });
+
+      test("returns null before anything is saved", async () => {
+        assert.equal(await storage.loadDataset(), null);
+        assert.equal(await storage.loadStand("kopps-greenfield"), null);
+      });
+
+      test("round-trips a dataset", async () => {
+        const data = dataset("2026-01-07T12:00:00.000Z", "Turtle");
+        await storage.saveDataset(data);
+
+        assert.deepEqual(await storage.loadDataset(), data);
+
+        // A fresh instance reads it back from disk
+        const reopened = createStorage(backend);
+        assert.deepEqual(await reopened.loadDataset(), data);
+        await reopened.close();
+      });
+
+      test("picks up saves made by another instance", async () => {
+        const other = createStorage(backend);
+        const data = dataset("2026-01-07T18:00:00.000Z", "Caramel Cashew");
+        // mtime resolution can hide back-to-back writes to the JSON file
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        await other.saveDataset(data);
+        await other.close();
+
+        assert.deepEqual(await storage.loadDataset(), data);
+      });
+
+      test("loads one stand limited to a date range", async () => {
+        const { timestamp, stand } = await storage.loadStand(
+          "kopps-greenfield",
+          { from: "2026-01-08", to: "2026-01-09" }
+        );
+
+        assert.equal(timestamp, "2026-01-07T18:00:00.000Z");
+        assert.equal(stand.name, "Kopp's Frozen Custard");
+        assert.deepEqual(
+          stand.flavors.map((day) => day.date),
+          ["2026-01-08", "2026-01-09"]
+        );
+        assert.equal(await storage.loadStand("unknown"), null);
+      });
+
+      test("lists scrape runs newest first, filtered by scraper", async () => {
+        await storage.appendRun(
+          run("job-1", "2026-01-06T06:00:00.000Z", ["Kopp's", "Murf's"])
+        );
+        await storage.appendRun(
+          run("job-2", "2026-01-07T06:00:00.000Z", ["Kopp's"])
+        );
+
+        const runs = await storage.listRuns();
+        assert.deepEqual(
+          runs.map((r) => r.jobId),
+          ["job-2", "job-1"]
+        );
+        assert.equal(runs[1].scrapers.length, 2);
+
+        const murfs = await storage.listRuns({ scraper: "murf's" });
+        assert.deepEqual(
+          murfs.map((r) => [r.jobId, r.scrapers.map((s) => s.name)]),
+          [["job-1", ["Murf's"]]]
+        );
+      });
+    }
+  );
+}
+
+test(
+  "sqlite adds the day data column to databases created without it",
+  { skip: !hasSqlite },
+  async () => {
+    CONFIG.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+    const Database = require("better-sqlite3");
+    const db = new Database(path.join(CONFIG.DATA_DIR, "custard.db"));
+    db.exec(`
+      CREATE TABLE stand_days (
+        stand_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        date TEXT,
+        day_label TEXT,
+        placeholder INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (stand_id, position)
+      )
+    `);
+    db.close();
+
+    const storage = createStorage("sqlite");
+    try {
+      const data = dataset("2026-01-07T12:00:00.000Z", "Turtle");
+      await storage.saveDataset(data);
+      assert.deepEqual(await storage.loadDataset(), data);
+    } finally {
+      await storage.close();
+      fs.rmSync(CONFIG.DATA_DIR, { recursive: true, force: true });
+    }
+  }
+);
+
+test("unknown backends are rejected", () => {
+  assert.throws(() => createStorage("postgres"), /Unknown storage backend/);
+});